@@ -0,0 +1,74 @@
+// Cancel, pause and resume support for a running analysis.
+// The side panel owns one AnalysisControl per run; GitHubAPI passes its signal to every fetch
+// and calls checkpoint() between batches.
+
+class AnalysisControl {
+  constructor() {
+    this.abortController = new AbortController();
+    this.paused = false;
+    this.resumeWaiters = [];
+  }
+
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  cancel() {
+    this.abortController.abort();
+    // Wake up anything waiting on a pause so it can see the cancellation
+    this.resume();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.resumeWaiters.forEach(resolve => resolve());
+    this.resumeWaiters = [];
+  }
+
+  // Throws an AbortError if the run was cancelled, and waits here while it is paused
+  async checkpoint() {
+    this.signal.throwIfAborted();
+
+    while (this.paused) {
+      await new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+
+    this.signal.throwIfAborted();
+  }
+}
+
+// Resolves after ms, or rejects with an AbortError as soon as signal is aborted
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Export for use in github-api.js, request-scheduler.js and sidepanel.js
+if (typeof window !== 'undefined') {
+  window.AnalysisControl = AnalysisControl;
+  window.abortableSleep = abortableSleep;
+}
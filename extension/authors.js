@@ -0,0 +1,50 @@
+// Opt-in author breakdown: PR count, issues per PR, acceptance rate and priority mix per PR author.
+// It's meant for coaching conversations, so authors are listed alphabetically instead of ranked.
+
+import { escapeHtml } from './filter-utils.js';
+import { renderPriorityMix } from './hotspots.js';
+
+/**
+ * Displays per-author stats
+ * @param {string} elementId - ID of the container element
+ * @param {Array} authors - Per-author stats from analyzePRs, sorted by login
+ */
+export function displayAuthorBreakdown(elementId, authors) {
+  const container = document.getElementById(elementId);
+  container.innerHTML = '';
+
+  if (!authors || authors.length === 0) {
+    container.innerHTML = '<div class="empty-state">No PR authors found</div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'repo-breakdown-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Author</th>
+        <th>PRs</th>
+        <th title="Actionable issues per PR, including PRs without any">Issues/PR</th>
+        <th>Accepted</th>
+        <th>Priority mix</th>
+      </tr>
+    </thead>
+  `;
+
+  const tbody = document.createElement('tbody');
+  authors.forEach(author => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td class="repo-breakdown-name">${escapeHtml(author.login)}</td>
+      <td>${author.totalPRs}</td>
+      <td>${author.issuesPerPR}</td>
+      <td title="${author.acceptedIssues} of ${author.totalActionableIssues} accepted">${author.totalActionableIssues > 0 ? `${author.acceptanceRate}%` : '–'}</td>
+      <td>${author.totalActionableIssues > 0 ? renderPriorityMix(author.priorities, author.totalActionableIssues) : ''}</td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
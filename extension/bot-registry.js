@@ -0,0 +1,55 @@
+// Review bots whose comments are analyzed, and the parsers that understand their comment formats.
+// Each parser lives in parsers/ and registers itself with registerCommentParser(); bots are
+// configured on the options page and map a login to one of the registered parsers.
+
+const REVIEW_BOTS_STORAGE_KEY = 'reviewBots';
+const DEFAULT_REVIEW_BOTS = [
+  { login: 'coderabbitai[bot]', name: 'CodeRabbit', parser: 'coderabbit' }
+];
+
+// parser id -> { name, parse(body, comment) }
+const commentParsers = {};
+
+// parse(body, comment) returns { severity, priority, title, description } for an actionable
+// comment, or null for anything else (walkthroughs, summaries, replies).
+// Optionally, parseReviewSummary(body, comment) returns the findings bundled in a review body as
+// [{ category, severity, priority, title, description, path, startLine, endLine, suggestion, aiPrompt }]
+function registerCommentParser(id, parser) {
+  commentParsers[id] = parser;
+}
+
+// Unknown parser ids fall back to the generic parser
+function getCommentParser(id) {
+  return commentParsers[id] || commentParsers.generic;
+}
+
+// Returns [{ id, name }] for the options page parser picker
+function listCommentParsers() {
+  return Object.entries(commentParsers).map(([id, parser]) => ({ id, name: parser.name }));
+}
+
+// Loads the configured review bots (CodeRabbit only until others are added on the options page)
+function loadReviewBots() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([REVIEW_BOTS_STORAGE_KEY], (result) => {
+      const bots = result[REVIEW_BOTS_STORAGE_KEY];
+      resolve(bots && bots.length > 0 ? bots : DEFAULT_REVIEW_BOTS);
+    });
+  });
+}
+
+function saveReviewBots(bots) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [REVIEW_BOTS_STORAGE_KEY]: bots }, resolve);
+  });
+}
+
+// Export for use in parsers/, github-api.js, sidepanel.js and options.js
+if (typeof window !== 'undefined') {
+  window.DEFAULT_REVIEW_BOTS = DEFAULT_REVIEW_BOTS;
+  window.registerCommentParser = registerCommentParser;
+  window.getCommentParser = getCommentParser;
+  window.listCommentParsers = listCommentParsers;
+  window.loadReviewBots = loadReviewBots;
+  window.saveReviewBots = saveReviewBots;
+}
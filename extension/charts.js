@@ -0,0 +1,235 @@
+// Weekly or monthly trend charts of issues per PR, acceptance rate and priority mix,
+// drawn as inline SVG so no charting library is needed
+
+import { escapeHtml } from './filter-utils.js';
+
+// Priorities shown in the mix chart (anything else is counted as "Other")
+const TREND_PRIORITIES = ['Critical', 'Major', 'Minor', 'Trivial'];
+// Same colors as the hotspot priority mix, inlined so the SVG stands on its own
+const TREND_PRIORITY_COLORS = {
+  Critical: '#e53e3e',
+  Major: '#ed8936',
+  Minor: '#ecc94b',
+  Trivial: '#4299e1',
+  Other: '#a0aec0'
+};
+const TREND_LINE_COLOR = '#667eea';
+
+// SVG coordinates; the chart scales to the width of its container
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 34 };
+
+// Start (UTC midnight) of the week (Monday) or month a date falls in
+function getPeriodStart(date, interval) {
+  const start = new Date(Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    interval === 'month' ? 1 : date.getUTCDate()
+  ));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+function getNextPeriod(start, interval) {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+}
+
+function formatPeriod(start, interval) {
+  return interval === 'month'
+    ? start.toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })
+    : start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Buckets the analyzed PRs into weeks or months by creation date.
+ * Empty periods are kept so gaps show up in the charts.
+ * @param {Object} data - The PR analysis data
+ * @param {string} interval - 'week' or 'month'
+ * @returns {Array} Periods ({ label, start, prs, issues, accepted, priorities }), oldest first
+ */
+export function buildTrendSeries(data, interval = 'week') {
+  const periods = new Map();
+  const end = new Date(`${data.dateRange.end}T00:00:00Z`);
+
+  for (let start = getPeriodStart(new Date(`${data.dateRange.start}T00:00:00Z`), interval); start <= end; start = getNextPeriod(start, interval)) {
+    periods.set(start.getTime(), {
+      label: formatPeriod(start, interval),
+      start: start.toISOString().split('T')[0],
+      prs: 0,
+      issues: 0,
+      accepted: 0,
+      priorities: {}
+    });
+  }
+
+  const getPeriod = date => periods.get(getPeriodStart(new Date(date), interval).getTime());
+
+  // Exports from before daily PR counts were recorded only know the PRs that had issues
+  if (data.prCountsByDay) {
+    Object.entries(data.prCountsByDay).forEach(([day, count]) => {
+      const period = getPeriod(`${day}T00:00:00Z`);
+      if (period) period.prs += count;
+    });
+  }
+
+  data.pullRequests.forEach(pr => {
+    const period = getPeriod(pr.createdAt);
+    if (!period) return;
+
+    if (!data.prCountsByDay) period.prs++;
+    pr.actionableIssues.forEach(issue => {
+      period.issues++;
+      if (issue.accepted) period.accepted++;
+      const priority = TREND_PRIORITIES.includes(issue.priority) ? issue.priority : 'Other';
+      period.priorities[priority] = (period.priorities[priority] || 0) + 1;
+    });
+  });
+
+  return [...periods.values()];
+}
+
+/**
+ * Displays the issues per PR, acceptance rate and priority mix charts
+ * @param {string} elementId - ID of the container element
+ * @param {Array} series - Periods from buildTrendSeries
+ */
+export function displayTrendCharts(elementId, series) {
+  const container = document.getElementById(elementId);
+
+  if (series.length < 2) {
+    container.innerHTML = '<div class="empty-state">The date range is too short for a trend</div>';
+    return;
+  }
+
+  const charts = [
+    {
+      title: 'Issues per PR',
+      svg: renderLineChart('Issues per PR', series, period => (period.prs > 0 ? period.issues / period.prs : null), value => value.toFixed(1))
+    },
+    {
+      title: 'Acceptance rate',
+      svg: renderLineChart('Acceptance rate', series, period => (period.issues > 0 ? (period.accepted / period.issues) * 100 : null), value => `${Math.round(value)}%`, 100)
+    },
+    {
+      title: 'Priority mix',
+      svg: renderPriorityBars('Priority mix', series)
+    }
+  ];
+
+  container.innerHTML = charts.map(chart => `
+    <div class="trend-chart">
+      <div class="trend-chart-title">${chart.title}</div>
+      ${chart.svg}
+    </div>
+  `).join('');
+}
+
+// Plot area and axis helpers shared by both chart types
+function getPlot(series) {
+  const width = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const height = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const step = width / series.length;
+
+  return {
+    width,
+    height,
+    // Center of the period's slot, so lines and bars line up
+    x: index => CHART_PADDING.left + step * (index + 0.5),
+    step
+  };
+}
+
+// Labels for the first, middle and last period so they don't overlap
+function renderXAxisLabels(series, plot) {
+  const indexes = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+  return indexes.map(index => `
+    <text x="${plot.x(index)}" y="${CHART_HEIGHT - 4}" text-anchor="middle" font-size="9" fill="#718096">${escapeHtml(series[index].label)}</text>
+  `).join('');
+}
+
+function renderYAxis(plot, topLabel) {
+  const bottom = CHART_PADDING.top + plot.height;
+  return `
+    <line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left + plot.width}" y2="${CHART_PADDING.top}" stroke="#edf2f7" />
+    <line x1="${CHART_PADDING.left}" y1="${bottom}" x2="${CHART_PADDING.left + plot.width}" y2="${bottom}" stroke="#cbd5e0" />
+    <text x="${CHART_PADDING.left - 4}" y="${CHART_PADDING.top + 3}" text-anchor="end" font-size="9" fill="#718096">${topLabel}</text>
+    <text x="${CHART_PADDING.left - 4}" y="${bottom + 3}" text-anchor="end" font-size="9" fill="#718096">0</text>
+  `;
+}
+
+function wrapSvg(content, label) {
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${label}">${content}</svg>`;
+}
+
+// Line through the periods that have a value; periods without one (no PRs or issues) break the line
+function renderLineChart(title, series, getValue, formatValue, fixedMax = null) {
+  const plot = getPlot(series);
+  const values = series.map(getValue);
+  const max = fixedMax ?? Math.max(...values.filter(value => value !== null), 0);
+  const scaleMax = max > 0 ? max : 1;
+  const y = value => CHART_PADDING.top + plot.height - (value / scaleMax) * plot.height;
+
+  let path = '';
+  let drawing = false;
+  values.forEach((value, index) => {
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${plot.x(index).toFixed(1)} ${y(value).toFixed(1)} `;
+    drawing = true;
+  });
+
+  const points = values.map((value, index) => (value === null ? '' : `
+    <circle cx="${plot.x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5" fill="${TREND_LINE_COLOR}">
+      <title>${escapeHtml(series[index].label)}: ${formatValue(value)} (${series[index].issues} issues, ${series[index].prs} PRs)</title>
+    </circle>
+  `)).join('');
+
+  return wrapSvg(`
+    ${renderYAxis(plot, formatValue(scaleMax))}
+    <path d="${path.trim()}" fill="none" stroke="${TREND_LINE_COLOR}" stroke-width="1.5" />
+    ${points}
+    ${renderXAxisLabels(series, plot)}
+  `, title);
+}
+
+// One bar per period, split by each priority's share of the period's issues
+function renderPriorityBars(title, series) {
+  const plot = getPlot(series);
+  const barWidth = Math.max(1, plot.step * 0.7);
+
+  const bars = series.map((period, index) => {
+    if (period.issues === 0) return '';
+
+    let top = CHART_PADDING.top + plot.height;
+    return [...TREND_PRIORITIES, 'Other']
+      .filter(priority => period.priorities[priority])
+      .map(priority => {
+        const count = period.priorities[priority];
+        const height = (count / period.issues) * plot.height;
+        top -= height;
+        return `
+          <rect x="${(plot.x(index) - barWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="${TREND_PRIORITY_COLORS[priority]}">
+            <title>${escapeHtml(period.label)}: ${priority} ${count} of ${period.issues}</title>
+          </rect>
+        `;
+      })
+      .join('');
+  }).join('');
+
+  return wrapSvg(`
+    ${renderYAxis(plot, '100%')}
+    ${bars}
+    ${renderXAxisLabels(series, plot)}
+  `, title);
+}
@@ -0,0 +1,228 @@
+// Period-over-period comparison of two analyses (e.g. this quarter vs. last quarter, or before vs.
+// after a review bot config change): title groups that appeared, disappeared, grew or shrank,
+// acceptance rate by priority and issues per PR
+
+import { extractTitles, groupSimilarTitles, escapeHtml } from './filter-utils.js';
+import { applyGroupCuration } from './curation.js';
+import { DEFAULT_SIMILARITY_THRESHOLD } from './similarity.js';
+
+// How many title groups each list shows before collapsing the rest into a count
+const COMPARISON_LIST_LIMIT = 10;
+
+/**
+ * Returns the period of the same length that ends the day before a date range starts
+ * @param {Object} dateRange - { start, end } as YYYY-MM-DD
+ * @returns {Object} { startDate, endDate } as Dates
+ */
+export function getPreviousPeriod(dateRange) {
+  const start = new Date(`${dateRange.start}T00:00:00Z`);
+  const end = new Date(`${dateRange.end}T00:00:00Z`);
+  const lengthMs = end - start;
+
+  const endDate = new Date(start);
+  endDate.setUTCDate(endDate.getUTCDate() - 1);
+  return { startDate: new Date(endDate - lengthMs), endDate };
+}
+
+// Issues, accepted issues and acceptance rate per priority
+function summarizeAcceptance(data) {
+  const stats = {};
+  data.pullRequests.forEach(pr => {
+    pr.actionableIssues.forEach(issue => {
+      const priority = issue.priority || 'Unknown';
+      stats[priority] = stats[priority] || { issues: 0, accepted: 0 };
+      stats[priority].issues++;
+      if (issue.accepted) stats[priority].accepted++;
+    });
+  });
+  return stats;
+}
+
+// Issues per analyzed PR, counting PRs without comments too
+function getIssuesPerPR(data) {
+  return data.summary.totalPRs > 0 ? data.summary.totalActionableIssues / data.summary.totalPRs : 0;
+}
+
+// Distinct titles of both analyses, each with its count per period, most frequent first
+function combineTitles(before, after, similarityThreshold) {
+  const titles = new Map();
+  [[before, 'before'], [after, 'after']].forEach(([data, period]) => {
+    extractTitles(data, similarityThreshold).flatMap(group => group.items).forEach(item => {
+      const title = titles.get(item.title) || {
+        title: item.title,
+        count: 0,
+        descriptions: new Set(),
+        occurrences: [],
+        periodCounts: { before: 0, after: 0 }
+      };
+      title.count += item.count;
+      title.periodCounts[period] += item.count;
+      title.occurrences.push(...item.occurrences);
+      if (item.description) title.descriptions.add(item.description);
+      titles.set(item.title, title);
+    });
+  });
+
+  return [...titles.values()]
+    .map(({ descriptions, ...title }) => ({ ...title, description: [...descriptions].join('\n') }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Compares two analyses. The earlier one is the baseline, whichever order they are passed in.
+ * Titles of both are grouped together with groupSimilarTitles, so a group covers the same
+ * kind of comment in both periods.
+ * @param {Object} first - PR analysis data
+ * @param {Object} second - PR analysis data
+ * @param {number} similarityThreshold - Minimum similarity for titles to be grouped
+ * @param {Object} curation - Manual group edits to apply, as in the title list (see curation.js), if any
+ * @returns {Object} { before, after, sameRepository, groups, acceptance, issuesPerPR }
+ */
+export function compareAnalyses(first, second, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, curation = null) {
+  const [before, after] = first.dateRange.start <= second.dateRange.start ? [first, second] : [second, first];
+
+  // A title of both periods is a single item, so group edits made for it apply to both
+  const grouped = groupSimilarTitles(combineTitles(before, after, similarityThreshold), similarityThreshold);
+  const groups = (curation ? applyGroupCuration(grouped, curation) : grouped).map(group => {
+    const countIn = period => group.items.reduce((sum, item) => sum + item.periodCounts[period], 0);
+    const beforeCount = countIn('before');
+    const afterCount = countIn('after');
+
+    let change = 'unchanged';
+    if (beforeCount === 0) change = 'appeared';
+    else if (afterCount === 0) change = 'disappeared';
+    else if (afterCount > beforeCount) change = 'grew';
+    else if (afterCount < beforeCount) change = 'shrank';
+
+    return { title: group.customName || group.mainTitle, before: beforeCount, after: afterCount, delta: afterCount - beforeCount, change };
+  });
+
+  const beforeAcceptance = summarizeAcceptance(before);
+  const afterAcceptance = summarizeAcceptance(after);
+  const rate = stats => (stats && stats.issues > 0 ? Math.round((stats.accepted / stats.issues) * 100) : null);
+  const acceptance = [...new Set([...Object.keys(beforeAcceptance), ...Object.keys(afterAcceptance)])]
+    .map(priority => ({
+      priority,
+      beforeIssues: beforeAcceptance[priority]?.issues || 0,
+      afterIssues: afterAcceptance[priority]?.issues || 0,
+      beforeRate: rate(beforeAcceptance[priority]),
+      afterRate: rate(afterAcceptance[priority])
+    }))
+    .sort((a, b) => (b.beforeIssues + b.afterIssues) - (a.beforeIssues + a.afterIssues));
+
+  return {
+    before: { repository: before.repository, dateRange: before.dateRange, totalPRs: before.summary.totalPRs, totalIssues: before.summary.totalActionableIssues },
+    after: { repository: after.repository, dateRange: after.dateRange, totalPRs: after.summary.totalPRs, totalIssues: after.summary.totalActionableIssues },
+    sameRepository: before.repository === after.repository,
+    groups,
+    acceptance,
+    issuesPerPR: { before: getIssuesPerPR(before), after: getIssuesPerPR(after) }
+  };
+}
+
+/**
+ * Displays a comparison from compareAnalyses
+ * @param {string} elementId - ID of the container element
+ * @param {Object} comparison - Result of compareAnalyses
+ */
+export function displayComparison(elementId, comparison) {
+  const container = document.getElementById(elementId);
+  const { before, after } = comparison;
+  const formatRange = period => `${period.dateRange.start} to ${period.dateRange.end}`;
+
+  const warning = comparison.sameRepository
+    ? ''
+    : `<div class="comparison-warning">⚠️ Comparing different scopes: ${escapeHtml(before.repository)} and ${escapeHtml(after.repository)}</div>`;
+
+  const acceptanceRows = comparison.acceptance.map(row => `
+    <tr>
+      <td class="repo-breakdown-name">${escapeHtml(row.priority)}</td>
+      <td>${formatRate(row.beforeRate)} <span class="comparison-muted">(${row.beforeIssues})</span></td>
+      <td>${formatRate(row.afterRate)} <span class="comparison-muted">(${row.afterIssues})</span></td>
+      <td>${row.beforeRate === null || row.afterRate === null ? '–' : formatDelta(row.afterRate - row.beforeRate, ' pts')}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    ${warning}
+    <table class="repo-breakdown-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th title="${escapeHtml(formatRange(before))}">Before</th>
+          <th title="${escapeHtml(formatRange(after))}">After</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td class="repo-breakdown-name">Period</td>
+          <td>${escapeHtml(formatRange(before))}</td>
+          <td>${escapeHtml(formatRange(after))}</td>
+          <td></td>
+        </tr>
+        <tr>
+          <td class="repo-breakdown-name">PRs</td>
+          <td>${before.totalPRs}</td>
+          <td>${after.totalPRs}</td>
+          <td>${formatDelta(after.totalPRs - before.totalPRs)}</td>
+        </tr>
+        <tr>
+          <td class="repo-breakdown-name">Issues per PR</td>
+          <td>${comparison.issuesPerPR.before.toFixed(2)}</td>
+          <td>${comparison.issuesPerPR.after.toFixed(2)}</td>
+          <td>${formatDelta(comparison.issuesPerPR.after - comparison.issuesPerPR.before, '', 2)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    <h3 class="comparison-heading">Acceptance rate by priority</h3>
+    <table class="repo-breakdown-table">
+      <thead>
+        <tr>
+          <th>Priority</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>${acceptanceRows}</tbody>
+    </table>
+
+    ${renderGroupList('🆕 Appeared', comparison.groups.filter(group => group.change === 'appeared'), (a, b) => b.after - a.after)}
+    ${renderGroupList('📈 Grew', comparison.groups.filter(group => group.change === 'grew'), (a, b) => b.delta - a.delta)}
+    ${renderGroupList('📉 Shrank', comparison.groups.filter(group => group.change === 'shrank'), (a, b) => a.delta - b.delta)}
+    ${renderGroupList('✔️ Disappeared', comparison.groups.filter(group => group.change === 'disappeared'), (a, b) => b.before - a.before)}
+  `;
+}
+
+function renderGroupList(heading, groups, compare) {
+  if (groups.length === 0) return '';
+
+  const sorted = [...groups].sort(compare);
+  const items = sorted.slice(0, COMPARISON_LIST_LIMIT).map(group => `
+    <li class="comparison-group">
+      <span class="comparison-counts">${group.before} → ${group.after}</span>
+      <span class="comparison-title">${escapeHtml(group.title)}</span>
+    </li>
+  `).join('');
+  const more = sorted.length > COMPARISON_LIST_LIMIT
+    ? `<li class="comparison-muted">and ${sorted.length - COMPARISON_LIST_LIMIT} more</li>`
+    : '';
+
+  return `
+    <h3 class="comparison-heading">${heading} (${groups.length})</h3>
+    <ul class="comparison-list">${items}${more}</ul>
+  `;
+}
+
+function formatRate(rate) {
+  return rate === null ? '–' : `${rate}%`;
+}
+
+// Signed change, e.g. "+3", "−0.25" or "0"
+function formatDelta(delta, unit = '', digits = 0) {
+  const rounded = Number(delta.toFixed(digits));
+  if (rounded === 0) return `0${unit}`;
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(digits)}${unit}`;
+}
@@ -1,5 +1,6 @@
 // GitHub API Configuration
-// Copy this file to config.js and add your personal access token
+// Optional: tokens are normally managed on the extension's options page.
+// To use a fallback token when none is saved there, copy this file to config.js and add it
 
 window.CONFIG = {
   // Get your token from: https://github.com/settings/tokens
@@ -0,0 +1,223 @@
+// Manual corrections of the automatic title groups: titles moved into another group or split out
+// on their own, custom group names and pinned groups. Saved per analysis scope in chrome.storage
+// (groupCurations, keyed by data.repository: "owner", "owner/repo" or "owner/repo1,repo2") and
+// applied on top of the grouping of every analysis of the same scope.
+// Edits are keyed by comment title, so they survive reanalysis and threshold changes as long as
+// the titles come up again.
+
+const CURATION_STORAGE_KEY = 'groupCurations';
+
+/**
+ * Returns a curation without any edits
+ * @returns {Object} { moves, splits, names, pins }
+ */
+export function createEmptyCuration() {
+  return {
+    // title -> title whose group it was moved into
+    moves: {},
+    // Titles split out into a group of their own
+    splits: [],
+    // title -> custom name of the group it's in
+    names: {},
+    // Titles whose group is pinned to the top
+    pins: []
+  };
+}
+
+/**
+ * Whether a curation has no edits
+ * @param {Object} curation - Curation from createEmptyCuration
+ * @returns {boolean}
+ */
+export function isCurationEmpty(curation) {
+  return Object.keys(curation.moves).length === 0 &&
+    curation.splits.length === 0 &&
+    Object.keys(curation.names).length === 0 &&
+    curation.pins.length === 0;
+}
+
+/**
+ * Loads the saved curation of an analysis scope
+ * @param {string} repository - data.repository of the analysis
+ * @returns {Promise<Object>} The curation (empty if none was saved)
+ */
+export async function loadGroupCuration(repository) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CURATION_STORAGE_KEY], (result) => {
+      const saved = result[CURATION_STORAGE_KEY]?.[repository];
+      resolve({ ...createEmptyCuration(), ...saved });
+    });
+  });
+}
+
+/**
+ * Saves the curation of an analysis scope (or removes it once it has no edits left)
+ * @param {string} repository - data.repository of the analysis
+ * @param {Object} curation - Curation to save
+ */
+export async function saveGroupCuration(repository, curation) {
+  const curations = await new Promise((resolve) => {
+    chrome.storage.local.get([CURATION_STORAGE_KEY], (result) => {
+      resolve(result[CURATION_STORAGE_KEY] || {});
+    });
+  });
+
+  if (isCurationEmpty(curation)) {
+    delete curations[repository];
+  } else {
+    curations[repository] = curation;
+  }
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [CURATION_STORAGE_KEY]: curations }, resolve);
+  });
+}
+
+// Clears the earlier edits of titles leaving their group. Names and pins stay with the group:
+// they're handed on to its new main title, so they don't carry over to where the titles go.
+function releaseTitles(curation, titles, groups) {
+  const leaving = new Set(titles);
+
+  titles.forEach(title => {
+    delete curation.moves[title];
+    curation.splits = curation.splits.filter(split => split !== title);
+
+    const group = groups.find(candidate => candidate.items.some(item => item.title === title));
+    const newMainTitle = group?.items.find(item => !leaving.has(item.title))?.title;
+
+    if (curation.names[title] !== undefined) {
+      if (newMainTitle && curation.names[newMainTitle] === undefined) {
+        curation.names[newMainTitle] = curation.names[title];
+      }
+      delete curation.names[title];
+    }
+    if (curation.pins.includes(title)) {
+      curation.pins = curation.pins.filter(pin => pin !== title);
+      if (newMainTitle && !curation.pins.includes(newMainTitle)) {
+        curation.pins.push(newMainTitle);
+      }
+    }
+  });
+}
+
+/**
+ * Moves titles into the group of another title (drag and drop)
+ * @param {Object} curation - Curation to edit
+ * @param {Array} titles - Titles to move
+ * @param {string} targetTitle - Main title of the group they're dropped on
+ * @param {Array} groups - Groups shown when the titles were moved (from applyGroupCuration)
+ */
+export function moveTitles(curation, titles, targetTitle, groups = []) {
+  const movedTitles = titles.filter(title => title !== targetTitle);
+  releaseTitles(curation, movedTitles, groups);
+  // Moves are applied in the order they were made
+  movedTitles.forEach(title => { curation.moves[title] = targetTitle; });
+}
+
+/**
+ * Splits a title out of its group into a group of its own
+ * @param {Object} curation - Curation to edit
+ * @param {string} title - Title to split out
+ * @param {Array} groups - Groups shown when the title was split out (from applyGroupCuration)
+ */
+export function splitTitle(curation, title, groups = []) {
+  releaseTitles(curation, [title], groups);
+  curation.splits.push(title);
+}
+
+/**
+ * Gives a group a custom name; an empty name (or the main title) restores the automatic one
+ * @param {Object} curation - Curation to edit
+ * @param {Object} group - Title group from applyGroupCuration
+ * @param {string} name - New name
+ */
+export function renameGroup(curation, group, name) {
+  group.items.forEach(item => delete curation.names[item.title]);
+
+  const trimmed = name.trim();
+  if (trimmed && trimmed !== group.mainTitle) {
+    curation.names[group.mainTitle] = trimmed;
+  }
+}
+
+/**
+ * Pins a group to the top of the list, or unpins it
+ * @param {Object} curation - Curation to edit
+ * @param {Object} group - Title group from applyGroupCuration
+ */
+export function togglePinnedGroup(curation, group) {
+  const titles = new Set(group.items.map(item => item.title));
+  if (group.pinned) {
+    curation.pins = curation.pins.filter(pin => !titles.has(pin));
+  } else {
+    curation.pins.push(group.mainTitle);
+  }
+}
+
+/**
+ * Applies a curation to title groups from groupSimilarTitles. The groups passed in are left unchanged.
+ * Splits are applied first, then moves in the order they were made. Edits of titles that aren't
+ * in the groups are skipped. Pinned groups come first, then the rest by count.
+ * @param {Array} groups - Title groups
+ * @param {Object} curation - Curation from createEmptyCuration / loadGroupCuration
+ * @returns {Array} Curated groups, each with customName (or null) and pinned
+ */
+export function applyGroupCuration(groups, curation) {
+  const splits = new Set(curation.splits);
+
+  let curated = groups.flatMap(group => {
+    const splitItems = group.items.length > 1 ? group.items.filter(item => splits.has(item.title)) : [];
+    if (splitItems.length === 0) return [{ ...group, items: [...group.items] }];
+
+    const keptItems = group.items.filter(item => !splits.has(item.title));
+    return [
+      ...(keptItems.length > 0 ? [{ ...group, items: keptItems }] : []),
+      ...splitItems.map(item => ({ ...group, items: [item] }))
+    ];
+  });
+
+  const groupByTitle = new Map();
+  curated.forEach(group => group.items.forEach(item => groupByTitle.set(item.title, group)));
+
+  Object.entries(curation.moves).forEach(([title, targetTitle]) => {
+    const source = groupByTitle.get(title);
+    const target = groupByTitle.get(targetTitle);
+    if (!source || !target || source === target) return;
+
+    const item = source.items.find(sourceItem => sourceItem.title === title);
+    source.items = source.items.filter(sourceItem => sourceItem !== item);
+    target.items.push(item);
+    groupByTitle.set(title, target);
+  });
+
+  const pins = new Set(curation.pins);
+  curated = curated
+    .filter(group => group.items.length > 0)
+    .map(group => {
+      const namedItem = group.items.find(item => curation.names[item.title]);
+      return {
+        ...group,
+        mainTitle: group.items[0].title,
+        totalCount: group.items.reduce((sum, item) => sum + item.count, 0),
+        allOccurrences: group.items.flatMap(item => item.occurrences),
+        customName: namedItem ? curation.names[namedItem.title] : null,
+        pinned: group.items.some(item => pins.has(item.title))
+      };
+    });
+
+  return curated.sort((a, b) => (b.pinned - a.pinned) || (b.totalCount - a.totalCount));
+}
+
+/**
+ * Summarizes curated groups for the JSON export
+ * @param {Array} groups - Groups from applyGroupCuration
+ * @returns {Array} [{ name, mainTitle, pinned, count, titles: [{ title, count }] }]
+ */
+export function summarizeGroupsForExport(groups) {
+  return groups.map(group => ({
+    name: group.customName || group.mainTitle,
+    mainTitle: group.mainTitle,
+    pinned: group.pinned,
+    count: group.totalCount,
+    titles: group.items.map(item => ({ title: item.title, count: item.count }))
+  }));
+}
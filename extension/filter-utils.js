@@ -1,11 +1,49 @@
 // Shared utility functions for filtering and displaying PR analysis data
 
+import { DEFAULT_SIMILARITY_THRESHOLD, buildSimilarityGraph } from './similarity.js';
+import { applyGroupCuration } from './curation.js';
+
+// Titles, similarity graph and groups (per threshold) of each analysis, built on first use.
+// Filter changes only filter the cached groups' occurrences, and moving the threshold slider
+// only regroups the cached graph. Analysis data must not change once its titles were extracted.
+const titleCache = new WeakMap();
+
+function getTitleCache(data) {
+  if (!titleCache.has(data)) {
+    const titles = collectTitles(data);
+    titleCache.set(data, { titles, graph: null, groupsByThreshold: new Map() });
+  }
+  return titleCache.get(data);
+}
+
 /**
- * Extracts and groups titles from PR data
+ * Extracts and groups titles from PR data. Results are cached per analysis and threshold,
+ * so the returned groups must not be modified.
  * @param {Object} data - The PR analysis data
+ * @param {number} similarityThreshold - Minimum similarity for titles to be grouped (see groupSimilarTitles)
+ * @param {Object} curation - Manual group edits to apply on top (see curation.js), if any
  * @returns {Array} Array of grouped titles
  */
-export function extractTitles(data) {
+export function extractTitles(data, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, curation = null) {
+  const cache = getTitleCache(data);
+
+  if (!cache.groupsByThreshold.has(similarityThreshold)) {
+    if (!cache.graph) cache.graph = buildSimilarityGraph(cache.titles);
+    cache.groupsByThreshold.set(similarityThreshold, groupSimilarTitles(cache.titles, similarityThreshold, cache.graph));
+  }
+
+  const groups = cache.groupsByThreshold.get(similarityThreshold);
+  // Curation is cheap to apply and changes with every edit, so it isn't cached
+  return curation ? applyGroupCuration(groups, curation) : groups;
+}
+
+// Every comment occurrence of an analysis, without grouping
+function getOccurrences(data) {
+  return getTitleCache(data).titles.flatMap(title => title.occurrences);
+}
+
+// Collects the distinct titles of an analysis with their occurrences, most frequent first
+function collectTitles(data) {
   const titleGroups = {};
 
   data.pullRequests.forEach(pr => {
@@ -18,9 +56,29 @@ export function extractTitles(data) {
         url: issue.url,
         prNumber: pr.number,
         prTitle: pr.title,
+        // Scored along with the title when grouping (see similarity.js)
+        description: issue.description || null,
+        author: pr.author,
+        // Only org-wide and multi-repo results need the repo to tell PRs apart
+        repository: data.isOrgWide || data.isMultiRepo ? pr.repository : null,
         priority: issue.priority,
+        // Review bot that posted the comment (missing in exports from before multi-bot support)
+        bot: issue.bot || null,
+        botName: issue.botName || null,
+        // 'inline', or the review summary section it came from ('nitpick', 'outside-diff')
+        category: issue.category || 'inline',
+        // File location and proposed fix (missing in exports from before they were extracted)
+        path: issue.path || null,
+        startLine: issue.startLine || null,
+        endLine: issue.endLine || null,
+        suggestion: issue.suggestion || null,
+        aiPrompt: issue.aiPrompt || null,
         accepted: issue.accepted || false,
-        acceptanceMethod: issue.acceptanceMethod || null
+        acceptanceMethod: issue.acceptanceMethod || null,
+        // Exports from before outcomes were classified only know whether an issue was accepted
+        outcome: issue.outcome || (issue.accepted ? 'accepted' : 'ignored'),
+        // 'applied', 'modified' or 'not-applied' when suggestion verification was on
+        verification: issue.verification || null
       });
     });
   });
@@ -30,46 +88,27 @@ export function extractTitles(data) {
     .map(([title, occurrences]) => ({
       title,
       count: occurrences.length,
+      // All distinct descriptions of the title's comments, scored together with the title
+      description: [...new Set(occurrences.map(occurrence => occurrence.description).filter(Boolean))].join('\n'),
       occurrences
     }))
     .sort((a, b) => b.count - a.count);
 
-  // Group similar titles
-  return groupSimilarTitles(titles);
+  return titles;
 }
 
 /**
- * Calculates similarity between two titles using Jaccard similarity
- * @param {string} title1 - First title
- * @param {string} title2 - Second title
- * @returns {number} Similarity score between 0 and 1
- */
-export function calculateSimilarity(title1, title2) {
-  // Normalize titles for comparison
-  const normalize = (str) => str.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  const words1 = new Set(normalize(title1).split(' '));
-  const words2 = new Set(normalize(title2).split(' '));
-
-  // Calculate Jaccard similarity (intersection / union)
-  const intersection = new Set([...words1].filter(w => words2.has(w)));
-  const union = new Set([...words1, ...words2]);
-
-  return intersection.size / union.size;
-}
-
-/**
- * Groups similar titles together based on similarity threshold
- * @param {Array} titles - Array of title objects
+ * Groups similar titles together based on similarity threshold.
+ * Similarity is the TF-IDF cosine score of the titles and their descriptions, and only titles that
+ * MinHash/LSH found as candidates are compared (see similarity.js).
+ * @param {Array} titles - Array of title objects ({ title, count, occurrences, description })
+ * @param {number} similarityThreshold - Minimum similarity (0-1) for a title to join a group
+ * @param {Array} graph - Scored candidate pairs from buildSimilarityGraph (built from titles if omitted)
  * @returns {Array} Array of grouped titles
  */
-export function groupSimilarTitles(titles) {
+export function groupSimilarTitles(titles, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, graph = buildSimilarityGraph(titles)) {
   const groups = [];
   const used = new Set();
-  const SIMILARITY_THRESHOLD = 0.6; // 60% similarity
 
   titles.forEach((title, i) => {
     if (used.has(i)) return;
@@ -81,18 +120,15 @@ export function groupSimilarTitles(titles) {
       allOccurrences: [...title.occurrences]
     };
 
-    // Find similar titles
-    for (let j = i + 1; j < titles.length; j++) {
-      if (used.has(j)) continue;
+    // Find similar titles among the later candidates
+    graph[i].forEach(({ index: j, score }) => {
+      if (used.has(j) || score < similarityThreshold) return;
 
-      const similarity = calculateSimilarity(title.title, titles[j].title);
-      if (similarity >= SIMILARITY_THRESHOLD) {
-        group.items.push(titles[j]);
-        group.totalCount += titles[j].count;
-        group.allOccurrences.push(...titles[j].occurrences);
-        used.add(j);
-      }
-    }
+      group.items.push(titles[j]);
+      group.totalCount += titles[j].count;
+      group.allOccurrences.push(...titles[j].occurrences);
+      used.add(j);
+    });
 
     used.add(i);
     groups.push(group);
@@ -102,13 +138,22 @@ export function groupSimilarTitles(titles) {
   return groups.sort((a, b) => b.totalCount - a.totalCount);
 }
 
+// What happened to a comment (see GitHubAPI.classifyOutcome), in filter bar order
+const ISSUE_OUTCOMES = {
+  accepted: { label: '✅ Accepted', countId: 'acceptanceCountAccepted' },
+  rejected: { label: '🚫 Rejected', countId: 'acceptanceCountRejected' },
+  outdated: { label: '🕓 Outdated', countId: 'acceptanceCountOutdated' },
+  discussed: { label: '💬 Discussed', countId: 'acceptanceCountDiscussed' },
+  ignored: { label: '○ Ignored', countId: 'acceptanceCountIgnored' }
+};
+
 /**
- * Initializes combined priority and acceptance filter UI and event handlers
+ * Initializes combined priority and outcome filter UI and event handlers
  * @param {Object} data - The PR analysis data
  * @param {Set} selectedPriorities - Set of currently selected priorities
- * @param {string} selectedAcceptanceStatus - Currently selected acceptance status
+ * @param {string} selectedAcceptanceStatus - Currently selected outcome ('all' or a key of ISSUE_OUTCOMES)
  * @param {Function} onPriorityChange - Callback when priority filter changes
- * @param {Function} onAcceptanceChange - Callback when acceptance filter changes
+ * @param {Function} onAcceptanceChange - Callback when outcome filter changes
  */
 export function initializePriorityFilter(data, selectedPriorities, selectedAcceptanceStatus, onPriorityChange, onAcceptanceChange) {
   // Extract unique priorities and their counts
@@ -133,10 +178,8 @@ export function initializePriorityFilter(data, selectedPriorities, selectedAccep
   // Get the controls container
   const controlsContainer = document.getElementById('priorityFilterControls');
 
-  // Save the "All" button and acceptance buttons before clearing
+  // Save the "All" button before clearing
   const allButton = controlsContainer.querySelector('[data-priority="all"]');
-  const acceptedButton = controlsContainer.querySelector('[data-acceptance="accepted"]');
-  const notAcceptedButton = controlsContainer.querySelector('[data-acceptance="not-accepted"]');
 
   controlsContainer.innerHTML = '';
   controlsContainer.appendChild(allButton);
@@ -152,9 +195,14 @@ export function initializePriorityFilter(data, selectedPriorities, selectedAccep
       controlsContainer.appendChild(button);
     });
 
-  // Re-add acceptance buttons at the end
-  if (acceptedButton) controlsContainer.appendChild(acceptedButton);
-  if (notAcceptedButton) controlsContainer.appendChild(notAcceptedButton);
+  // One button per outcome at the end, always shown so every outcome's count stays visible
+  Object.entries(ISSUE_OUTCOMES).forEach(([outcome, { label, countId }]) => {
+    const button = document.createElement('button');
+    button.className = `priority-filter-btn${outcome === selectedAcceptanceStatus ? ' active' : ''}`;
+    button.setAttribute('data-acceptance', outcome);
+    button.innerHTML = `${label} (<span class="priority-count" id="${countId}">0</span>)`;
+    controlsContainer.appendChild(button);
+  });
 
   // Add click handlers to priority filter buttons
   controlsContainer.querySelectorAll('[data-priority]').forEach(button => {
@@ -229,6 +277,45 @@ export function initializePriorityFilter(data, selectedPriorities, selectedAccep
   });
 }
 
+/**
+ * Initializes a single-choice filter row (e.g. by bot) with an "All" button and one button per option
+ * @param {string} elementId - ID of the controls container
+ * @param {Array} options - Array of { value, label, count }
+ * @param {string} selectedValue - Currently selected value ('all' for no filter)
+ * @param {Function} onChange - Callback with the newly selected value
+ */
+export function initializeExtraFilter(elementId, options, selectedValue, onChange) {
+  const controlsContainer = document.getElementById(elementId);
+  const total = options.reduce((sum, option) => sum + option.count, 0);
+
+  controlsContainer.innerHTML = '';
+  [{ value: 'all', label: 'All', count: total }, ...options].forEach(option => {
+    const button = document.createElement('button');
+    button.className = `priority-filter-btn${option.value === selectedValue ? ' active' : ''}`;
+    button.setAttribute('data-filter-value', option.value);
+    button.innerHTML = `${escapeHtml(option.label)} (<span class="priority-count">${option.count}</span>)`;
+
+    button.addEventListener('click', () => {
+      controlsContainer.querySelectorAll('[data-filter-value]').forEach(btn => {
+        btn.classList.toggle('active', btn === button);
+      });
+      if (onChange) onChange(option.value);
+    });
+
+    controlsContainer.appendChild(button);
+  });
+}
+
+/**
+ * Checks an occurrence against single-value filters such as { bot: 'coderabbitai[bot]' }
+ * @param {Object} occurrence - Occurrence from extractTitles
+ * @param {Object} extraFilters - Occurrence field -> selected value ('all' matches everything)
+ * @returns {boolean} Whether the occurrence matches every filter
+ */
+function matchesExtraFilters(occurrence, extraFilters) {
+  return Object.entries(extraFilters).every(([field, value]) => value === 'all' || occurrence[field] === value);
+}
+
 /**
  * Displays distribution data in a grid
  * @param {string} elementId - ID of the container element
@@ -263,8 +350,10 @@ export function displayDistribution(elementId, distribution) {
  * @param {Array} groups - Array of title groups
  * @param {Set} selectedPriorities - Set of selected priorities (for empty state message)
  * @param {string} selectedAcceptanceStatus - Currently selected acceptance status (for empty state message)
+ * @param {Object} curationActions - { onMove, onSplit, onRename, onTogglePin } to enable editing groups
+ *   (drag and drop, split, rename and pin buttons); without it the groups are read-only
  */
-export function displayTitles(elementId, groups, selectedPriorities, selectedAcceptanceStatus = 'all') {
+export function displayTitles(elementId, groups, selectedPriorities, selectedAcceptanceStatus = 'all', curationActions = null) {
   const container = document.getElementById(elementId);
   container.innerHTML = '';
 
@@ -282,18 +371,39 @@ export function displayTitles(elementId, groups, selectedPriorities, selectedAcc
 
     // Group header
     const header = document.createElement('div');
-    header.className = 'title-group-header';
+    header.className = group.pinned ? 'title-group-header pinned' : 'title-group-header';
 
     const isGrouped = group.items.length > 1;
     const expandIcon = isGrouped ? '<span class="expand-icon">▶</span>' : '';
 
+    // Renamed groups keep their original title as a tooltip
     header.innerHTML = `
       ${expandIcon}
       <span class="title-item-count">${group.totalCount}</span>
-      <span class="title-item-text">${escapeHtml(group.mainTitle)}</span>
+      <span class="title-item-text"${group.customName ? ` title="${escapeHtml(group.mainTitle)}"` : ''}>${escapeHtml(group.customName || group.mainTitle)}</span>
+      ${renderRepositoryChips(group)}
       ${isGrouped ? `<span class="group-count">(${group.items.length} similar)</span>` : ''}
     `;
 
+    if (curationActions) {
+      const actions = document.createElement('span');
+      actions.className = 'group-actions';
+      actions.appendChild(createGroupActionButton(
+        '📌',
+        group.pinned ? 'Unpin this group' : 'Pin this group to the top',
+        () => curationActions.onTogglePin(group),
+        group.pinned
+      ));
+      actions.appendChild(createGroupActionButton('✏️', 'Rename this group', () => {
+        startRename(header, group, curationActions.onRename);
+      }));
+      header.appendChild(actions);
+
+      // Dragging a group header moves all of its titles
+      makeDraggable(header, group.items.map(item => item.title));
+      makeDropTarget(groupDiv, group, curationActions.onMove);
+    }
+
     // If grouped, make header clickable for expand/collapse
     if (isGrouped) {
       const textSpan = header.querySelector('.title-item-text');
@@ -316,30 +426,20 @@ export function displayTitles(elementId, groups, selectedPriorities, selectedAcc
           <span class="title-item-count">${item.count}</span>
           <span class="title-item-text">${escapeHtml(item.title)}</span>
         `;
+        if (curationActions) {
+          const actions = document.createElement('span');
+          actions.className = 'group-actions';
+          actions.appendChild(createGroupActionButton('✂️', 'Split this title into its own group', () => {
+            curationActions.onSplit(item.title);
+          }));
+          itemTitleDiv.appendChild(actions);
+          makeDraggable(itemTitleDiv, [item.title]);
+        }
         itemsContainer.appendChild(itemTitleDiv);
 
         // Add links to each occurrence
         item.occurrences.forEach(occurrence => {
-          const linkDiv = document.createElement('div');
-          linkDiv.className = 'title-occurrence';
-
-          const link = document.createElement('a');
-          link.href = occurrence.url;
-          link.target = '_blank';
-          link.className = 'comment-link';
-          link.title = 'View comment on GitHub';
-
-          let linkText = `🔗 PR #${occurrence.prNumber}`;
-          if (occurrence.accepted) {
-            linkText += ' ✅';
-            if (occurrence.acceptanceMethod === 'body-parsing') {
-              linkText += ' (auto detect)';
-            }
-          }
-          link.textContent = linkText;
-
-          linkDiv.appendChild(link);
-          itemsContainer.appendChild(linkDiv);
+          itemsContainer.appendChild(createOccurrenceLink(occurrence));
         });
       });
 
@@ -369,26 +469,7 @@ export function displayTitles(elementId, groups, selectedPriorities, selectedAcc
       occurrencesContainer.className = 'title-occurrences-list';
 
       group.allOccurrences.forEach(occurrence => {
-        const linkDiv = document.createElement('div');
-        linkDiv.className = 'title-occurrence';
-
-        const link = document.createElement('a');
-        link.href = occurrence.url;
-        link.target = '_blank';
-        link.className = 'comment-link';
-        link.title = 'View comment on GitHub';
-
-        let linkText = `🔗 PR #${occurrence.prNumber}`;
-        if (occurrence.accepted) {
-          linkText += ' ✅';
-          if (occurrence.acceptanceMethod === 'body-parsing') {
-            linkText += ' (auto detect)';
-          }
-        }
-        link.textContent = linkText;
-
-        linkDiv.appendChild(link);
-        occurrencesContainer.appendChild(linkDiv);
+        occurrencesContainer.appendChild(createOccurrenceLink(occurrence));
       });
 
       groupDiv.appendChild(occurrencesContainer);
@@ -398,6 +479,345 @@ export function displayTitles(elementId, groups, selectedPriorities, selectedAcc
   });
 }
 
+// Drag data type of the titles being moved between groups
+const TITLE_DRAG_TYPE = 'application/x-pr-hopper-titles';
+
+// Lets titles be dragged onto another group
+function makeDraggable(element, titles) {
+  element.draggable = true;
+  element.addEventListener('dragstart', (event) => {
+    // An item header sits inside its group, whose header is draggable too
+    event.stopPropagation();
+    event.dataTransfer.setData(TITLE_DRAG_TYPE, JSON.stringify(titles));
+    event.dataTransfer.effectAllowed = 'move';
+  });
+}
+
+// Accepts titles dropped on a group and moves them into it
+function makeDropTarget(groupDiv, group, onMove) {
+  groupDiv.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes(TITLE_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    groupDiv.classList.add('drop-target');
+  });
+  groupDiv.addEventListener('dragleave', (event) => {
+    if (!groupDiv.contains(event.relatedTarget)) {
+      groupDiv.classList.remove('drop-target');
+    }
+  });
+  groupDiv.addEventListener('drop', (event) => {
+    event.preventDefault();
+    groupDiv.classList.remove('drop-target');
+
+    const ownTitles = new Set(group.items.map(item => item.title));
+    const titles = JSON.parse(event.dataTransfer.getData(TITLE_DRAG_TYPE))
+      .filter(title => !ownTitles.has(title));
+    if (titles.length > 0) onMove(titles, group.mainTitle);
+  });
+}
+
+/**
+ * Creates a small icon button for editing a group
+ * @param {string} label - Button icon
+ * @param {string} tooltip - Button tooltip
+ * @param {Function} onClick - Click handler
+ * @param {boolean} active - Whether the button shows an active state (e.g. a pinned group)
+ * @returns {HTMLElement} The button element
+ */
+function createGroupActionButton(label, tooltip, onClick, active = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = active ? 'group-action-btn active' : 'group-action-btn';
+  button.textContent = label;
+  button.title = tooltip;
+  button.addEventListener('click', (event) => {
+    // Don't expand or collapse the group
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+// Swaps a group header's title for a text input; Enter or leaving the input saves, Escape cancels
+function startRename(header, group, onRename) {
+  const textSpan = header.querySelector('.title-item-text');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'group-rename-input';
+  input.value = group.customName || group.mainTitle;
+  input.placeholder = group.mainTitle;
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+    if (save) {
+      onRename(group, input.value);
+    } else {
+      input.replaceWith(textSpan);
+      header.draggable = true;
+    }
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') finish(true);
+    if (event.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('click', (event) => event.stopPropagation());
+
+  // Selecting text in the input would otherwise drag the group
+  header.draggable = false;
+  textSpan.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+// Shown after the PR link when suggestion verification compared the suggestion with the PR's code
+const VERIFICATION_LABELS = {
+  applied: '🔍 applied',
+  modified: '🔍 modified',
+  'not-applied': '🔍 not applied'
+};
+
+/**
+ * Creates the link row for a single comment occurrence
+ * @param {Object} occurrence - Occurrence from extractTitles
+ * @returns {HTMLElement} The occurrence row element
+ */
+function createOccurrenceLink(occurrence) {
+  const linkDiv = document.createElement('div');
+  linkDiv.className = 'title-occurrence';
+
+  const link = document.createElement('a');
+  link.href = occurrence.url;
+  link.target = '_blank';
+  link.className = 'comment-link';
+  link.title = 'View comment on GitHub';
+
+  // Org-wide results prefix the repo name so PR numbers stay unambiguous
+  let linkText = occurrence.repository
+    ? `🔗 ${occurrence.repository.split('/')[1]}#${occurrence.prNumber}`
+    : `🔗 PR #${occurrence.prNumber}`;
+  if (occurrence.accepted) {
+    linkText += ' ✅';
+    if (occurrence.acceptanceMethod === 'body-parsing') {
+      linkText += ' (auto detect)';
+    }
+  }
+  // Accepted comments already carry the checkmark; ignored ones need no marker
+  if (occurrence.outcome !== 'accepted' && occurrence.outcome !== 'ignored') {
+    linkText += ` ${ISSUE_OUTCOMES[occurrence.outcome].label.split(' ')[0]}`;
+  }
+  if (occurrence.verification) {
+    linkText += ` ${VERIFICATION_LABELS[occurrence.verification]}`;
+  }
+  link.textContent = linkText;
+
+  linkDiv.appendChild(link);
+
+  if (occurrence.path) {
+    const location = document.createElement('span');
+    location.className = 'occurrence-location';
+    location.textContent = formatLocation(occurrence);
+    location.title = occurrence.path;
+    linkDiv.appendChild(location);
+  }
+
+  // Proposed fixes can be copied for reuse
+  if (occurrence.suggestion) {
+    const { addedLines, removedLines } = occurrence.suggestion;
+    const stats = `+${addedLines}${removedLines !== null ? ` −${removedLines}` : ''}`;
+    linkDiv.appendChild(createCopyButton(`📋 Fix ${stats}`, occurrence.suggestion.code, 'Copy the suggested change'));
+  }
+  if (occurrence.aiPrompt) {
+    linkDiv.appendChild(createCopyButton('🤖 Prompt', occurrence.aiPrompt, 'Copy the prompt for AI agents'));
+  }
+
+  return linkDiv;
+}
+
+/**
+ * Formats an occurrence's file location, e.g. "api/user.ts:12-18"
+ * @param {Object} occurrence - Occurrence with path, startLine and endLine
+ * @returns {string} File name with line range
+ */
+function formatLocation(occurrence) {
+  const fileName = occurrence.path.split('/').pop();
+  if (!occurrence.endLine) return fileName;
+  return occurrence.startLine && occurrence.startLine !== occurrence.endLine
+    ? `${fileName}:${occurrence.startLine}-${occurrence.endLine}`
+    : `${fileName}:${occurrence.endLine}`;
+}
+
+/**
+ * Creates a small button that copies text to the clipboard
+ * @param {string} label - Button label
+ * @param {string} text - Text to copy
+ * @param {string} tooltip - Button tooltip
+ * @returns {HTMLElement} The button element
+ */
+function createCopyButton(label, text, tooltip) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'occurrence-copy-btn';
+  button.textContent = label;
+  button.title = tooltip;
+
+  button.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = '✓ Copied';
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      button.textContent = '✗ Copy failed';
+    }
+    setTimeout(() => {
+      button.textContent = label;
+    }, 1500);
+  });
+
+  return button;
+}
+
+/**
+ * Counts a title group's comments per repository, most affected repository first.
+ * Empty for single-repository results, whose occurrences carry no repository.
+ * @param {Object} group - Title group from extractTitles
+ * @returns {Array} [{ name, count }] with the short repository name
+ */
+export function getGroupRepositories(group) {
+  const counts = {};
+  group.allOccurrences.forEach(occurrence => {
+    if (!occurrence.repository) return;
+    const name = occurrence.repository.split('/')[1] || occurrence.repository;
+    counts[name] = (counts[name] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Renders one chip per repository a title group's comments appear in
+ * @param {Object} group - Title group from extractTitles
+ * @returns {string} HTML of the chips ('' for single-repository results)
+ */
+export function renderRepositoryChips(group) {
+  const repositories = getGroupRepositories(group);
+  if (repositories.length === 0) return '';
+
+  const chips = repositories.map(repo => `
+    <span class="repo-chip" title="${repo.count} in ${escapeHtml(repo.name)}">${escapeHtml(repo.name)} ${repo.count}</span>
+  `).join('');
+  return `<span class="repo-chips">${chips}</span>`;
+}
+
+/**
+ * Displays per-bot stats so review bots can be compared side by side
+ * @param {string} elementId - ID of the container element
+ * @param {Array} bots - Per-bot stats from analyzePRs
+ */
+export function displayBotBreakdown(elementId, bots) {
+  const container = document.getElementById(elementId);
+  container.innerHTML = '';
+
+  if (!bots || bots.length === 0) {
+    container.innerHTML = '<div class="empty-state">No review bots configured</div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'repo-breakdown-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Bot</th>
+        <th>PRs</th>
+        <th>Comments</th>
+        <th>Accepted</th>
+        <th>Rate</th>
+      </tr>
+    </thead>
+  `;
+
+  const tbody = document.createElement('tbody');
+  bots.forEach(bot => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td class="repo-breakdown-name" title="${escapeHtml(bot.login)}">${escapeHtml(bot.name)}</td>
+      <td>${bot.totalPRsWithActionableIssues}</td>
+      <td>${bot.totalActionableIssues}</td>
+      <td>${bot.acceptedIssues}</td>
+      <td>${bot.acceptanceRate}%</td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+/**
+ * Displays median and p90 time to fix and response time per priority or severity
+ * @param {string} elementId - ID of the container element
+ * @param {Object} timing - Timing summary from analyzePRs ({ timeToFix, response })
+ * @param {string} groupBy - 'priority' or 'severity'
+ */
+export function displayTimingBreakdown(elementId, timing, groupBy = 'priority') {
+  const container = document.getElementById(elementId);
+  container.innerHTML = '';
+
+  const groupKey = groupBy === 'severity' ? 'bySeverity' : 'byPriority';
+  const fixGroups = timing.timeToFix[groupKey];
+  const responseGroups = timing.response[groupKey];
+
+  const table = document.createElement('table');
+  table.className = 'repo-breakdown-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>${groupBy === 'severity' ? 'Severity' : 'Priority'}</th>
+        <th title="Accepted comments with a known fix time">Fixed</th>
+        <th>Median</th>
+        <th>P90</th>
+        <th title="Median time until the PR author first replied">Reply</th>
+      </tr>
+    </thead>
+  `;
+
+  const tbody = document.createElement('tbody');
+  const rows = Object.keys(fixGroups)
+    .sort((a, b) => fixGroups[b].count - fixGroups[a].count)
+    .map(group => [group, fixGroups[group], responseGroups[group]]);
+  rows.push(['All', timing.timeToFix.overall, timing.response.overall]);
+
+  rows.forEach(([group, fix, response]) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td class="repo-breakdown-name">${escapeHtml(group)}</td>
+      <td>${fix.count}</td>
+      <td>${formatHours(fix.medianHours)}</td>
+      <td>${formatHours(fix.p90Hours)}</td>
+      <td>${formatHours(response.medianHours)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+// Formats a duration in hours as minutes, hours or days
+function formatHours(hours) {
+  if (hours === null) return '–';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} text - Text to escape
@@ -433,6 +853,11 @@ export async function applyManualAcceptanceState(data) {
       if (manualState[issue.url] !== undefined) {
         issue.accepted = manualState[issue.url];
         issue.acceptanceMethod = 'manual';
+        if (issue.accepted) {
+          issue.outcome = 'accepted';
+        } else if (issue.outcome === 'accepted') {
+          issue.outcome = 'ignored';
+        }
       }
     });
   });
@@ -443,31 +868,24 @@ export async function applyManualAcceptanceState(data) {
  * @param {Object} currentData - The PR analysis data
  * @param {Set} selectedPriorities - Currently selected priorities
  * @param {string} selectedAcceptanceStatus - Currently selected acceptance status
+ * @param {Object} extraFilters - Additional single-value filters, e.g. { bot: 'all' }
  */
-export function updateFilterCounts(currentData, selectedPriorities, selectedAcceptanceStatus) {
-  const titles = extractTitles(currentData);
+export function updateFilterCounts(currentData, selectedPriorities, selectedAcceptanceStatus, extraFilters = {}) {
+  const occurrences = getOccurrences(currentData);
 
   // Count for priority filter (based on acceptance filter)
   const priorityCounts = { all: 0 };
   const allPriorities = new Set();
 
-  titles.forEach(group => {
-    group.allOccurrences.forEach(occurrence => {
-      allPriorities.add(occurrence.priority);
-
-      // Apply acceptance filter
-      let matchesAcceptance = true;
-      if (selectedAcceptanceStatus === 'accepted') {
-        matchesAcceptance = occurrence.accepted;
-      } else if (selectedAcceptanceStatus === 'not-accepted') {
-        matchesAcceptance = !occurrence.accepted;
-      }
+  occurrences.forEach(occurrence => {
+    allPriorities.add(occurrence.priority);
+    if (!matchesExtraFilters(occurrence, extraFilters)) return;
 
-      if (matchesAcceptance) {
-        priorityCounts.all++;
-        priorityCounts[occurrence.priority] = (priorityCounts[occurrence.priority] || 0) + 1;
-      }
-    });
+    // Apply outcome filter
+    if (matchesOutcome(occurrence, selectedAcceptanceStatus)) {
+      priorityCounts.all++;
+      priorityCounts[occurrence.priority] = (priorityCounts[occurrence.priority] || 0) + 1;
+    }
   });
 
   // Update priority count displays
@@ -479,33 +897,28 @@ export function updateFilterCounts(currentData, selectedPriorities, selectedAcce
     if (countEl) countEl.textContent = priorityCounts[priority] || 0;
   });
 
-  // Count for acceptance filter (based on priority filter)
-  const acceptanceCounts = { all: 0, accepted: 0, notAccepted: 0 };
+  // Count for outcome filter (based on priority filter)
+  const outcomeCounts = {};
 
-  titles.forEach(group => {
-    group.allOccurrences.forEach(occurrence => {
-      // Apply priority filter
-      const matchesPriority = selectedPriorities.has('all') || selectedPriorities.has(occurrence.priority);
+  occurrences.forEach(occurrence => {
+    // Apply priority filter
+    const matchesPriority = selectedPriorities.has('all') || selectedPriorities.has(occurrence.priority);
 
-      if (matchesPriority) {
-        acceptanceCounts.all++;
-        if (occurrence.accepted) {
-          acceptanceCounts.accepted++;
-        } else {
-          acceptanceCounts.notAccepted++;
-        }
-      }
-    });
+    if (matchesPriority && matchesExtraFilters(occurrence, extraFilters)) {
+      outcomeCounts[occurrence.outcome] = (outcomeCounts[occurrence.outcome] || 0) + 1;
+    }
   });
 
-  // Update acceptance count displays
-  const acceptanceAllEl = document.getElementById('acceptanceCountAll');
-  const acceptanceAcceptedEl = document.getElementById('acceptanceCountAccepted');
-  const acceptanceNotAcceptedEl = document.getElementById('acceptanceCountNotAccepted');
+  // Update outcome count displays
+  Object.entries(ISSUE_OUTCOMES).forEach(([outcome, { countId }]) => {
+    const countEl = document.getElementById(countId);
+    if (countEl) countEl.textContent = outcomeCounts[outcome] || 0;
+  });
+}
 
-  if (acceptanceAllEl) acceptanceAllEl.textContent = acceptanceCounts.all;
-  if (acceptanceAcceptedEl) acceptanceAcceptedEl.textContent = acceptanceCounts.accepted;
-  if (acceptanceNotAcceptedEl) acceptanceNotAcceptedEl.textContent = acceptanceCounts.notAccepted;
+// 'all' matches every occurrence; anything else is a key of ISSUE_OUTCOMES
+function matchesOutcome(occurrence, selectedAcceptanceStatus) {
+  return selectedAcceptanceStatus === 'all' || occurrence.outcome === selectedAcceptanceStatus;
 }
 
 /**
@@ -514,12 +927,14 @@ export function updateFilterCounts(currentData, selectedPriorities, selectedAcce
  * @param {Set} selectedPriorities - Currently selected priorities
  * @param {string} selectedAcceptanceStatus - Currently selected acceptance status
  * @param {Function} displayCallback - Callback to display filtered results
+ * @param {Object} extraFilters - Additional single-value filters, e.g. { bot: 'all' }
+ * @param {Object} grouping - { similarityThreshold, curation } passed on to extractTitles
  */
-export function applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayCallback) {
+export function applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayCallback, extraFilters = {}, grouping = {}) {
   // Update counts first
-  updateFilterCounts(currentData, selectedPriorities, selectedAcceptanceStatus);
+  updateFilterCounts(currentData, selectedPriorities, selectedAcceptanceStatus, extraFilters);
 
-  const titles = extractTitles(currentData);
+  const titles = extractTitles(currentData, grouping.similarityThreshold, grouping.curation);
 
   // Filter titles based on both priority AND acceptance
   const filteredTitles = titles.map(group => {
@@ -527,16 +942,11 @@ export function applyCombinedFilters(currentData, selectedPriorities, selectedAc
       // Check priority filter
       const matchesPriority = selectedPriorities.has('all') || selectedPriorities.has(occurrence.priority);
 
-      // Check acceptance filter
-      let matchesAcceptance = true;
-      if (selectedAcceptanceStatus === 'accepted') {
-        matchesAcceptance = occurrence.accepted;
-      } else if (selectedAcceptanceStatus === 'not-accepted') {
-        matchesAcceptance = !occurrence.accepted;
-      }
+      // Check outcome filter
+      const matchesAcceptance = matchesOutcome(occurrence, selectedAcceptanceStatus);
 
-      // Must match BOTH filters (AND logic)
-      return matchesPriority && matchesAcceptance;
+      // Must match ALL filters (AND logic)
+      return matchesPriority && matchesAcceptance && matchesExtraFilters(occurrence, extraFilters);
     });
 
     if (filteredOccurrences.length === 0) return null;
@@ -1,26 +1,130 @@
 // GitHub API module for fetching CodeRabbit PR data using GitHub token
-const CODERABBIT_USERNAME = 'coderabbitai[bot]';
-// Token is loaded from config.js (not committed to git)
+// Fallback token from config.js (not committed to git); tokens saved on the options page take precedence
 const GITHUB_TOKEN = window.CONFIG?.GITHUB_TOKEN || '';
+// GitHub Search API never returns more than 1,000 results for a single query
+const SEARCH_RESULT_CAP = 1000;
+// Smallest created: window we split down to before accepting a truncated result
+const MIN_SEARCH_WINDOW_MS = 60 * 1000;
+// Long date ranges are analyzed in chunks of this many days, checkpointing after each one
+const ANALYSIS_CHUNK_DAYS = 30;
+const CHECKPOINT_STORAGE_KEY = 'analysisCheckpoint';
+// Bump when the shape of the checkpointed state changes so checkpoints of older versions are discarded
+const CHECKPOINT_FORMAT = 2;
+// GitHub.com endpoints; GitHub Enterprise Server profiles pass their own through the constructor options
+const GITHUB_API_URL = 'https://api.github.com';
+const GRAPHQL_API_URL = 'https://api.github.com/graphql';
+// How many times a single request waits out a rate limit before giving up
+const MAX_RATE_LIMIT_WAITS = 3;
+// Requests the REST strategy makes per PR (reviews, review comments, issue comments, threads)
+const REST_REQUESTS_PER_PR = 4;
+// Page sizes for the batched GraphQL strategy; PRs that overflow any of them are refetched per PR
+const GRAPHQL_REVIEWS_PER_PR = 50;
+const GRAPHQL_THREADS_PER_PR = 50;
+const GRAPHQL_COMMENTS_PER_THREAD = 20;
+const GRAPHQL_ISSUE_COMMENTS_PER_PR = 50;
+const GRAPHQL_MAX_BATCH_SIZE = 25;
+// GitHub rejects GraphQL queries that could return more than 500,000 nodes
+const GRAPHQL_NODE_LIMIT = 500000;
+
+// Search qualifiers and progress labels for each PR state scope
+const PR_STATE_SCOPES = {
+  closed: { qualifiers: 'is:closed', label: 'closed' },
+  merged: { qualifiers: 'is:merged', label: 'merged' },
+  unmerged: { qualifiers: 'is:closed is:unmerged', label: 'closed unmerged' },
+  open: { qualifiers: 'is:open', label: 'open' },
+  all: { qualifiers: '', label: '' }
+};
+
+// Formats a date for the Search API created: qualifier (YYYY-MM-DDTHH:MM:SSZ)
+function formatSearchDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Hours between two ISO timestamps (never negative), or null if either is missing
+function hoursBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.max(0, (new Date(to) - new Date(from)) / (60 * 60 * 1000));
+}
+
+// { count, medianHours, p90Hours } of a list of durations (nearest-rank percentiles)
+function summarizeDurations(hours) {
+  if (hours.length === 0) return { count: 0, medianHours: null, p90Hours: null };
+
+  const sorted = [...hours].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    medianHours: Math.round(percentile(50) * 10) / 10,
+    p90Hours: Math.round(percentile(90) * 10) / 10
+  };
+}
 
 class GitHubAPI {
-  constructor(owner, repo, startDate, endDate, token = GITHUB_TOKEN) {
+  constructor(owner, repo, startDate, endDate, token = GITHUB_TOKEN, options = {}) {
     this.owner = owner;
     this.repo = repo;
+    // Several repos can be analyzed together ("web, api"); none means the whole org
+    this.repos = GitHubAPI.parseRepositories(repo);
     this.startDate = startDate;
     this.endDate = endDate;
     this.token = token || GITHUB_TOKEN;
-    this.rateLimitRemaining = null;
+    // Which PRs to analyze: { state, author, label, base, extra } (see buildScopeQualifiers)
+    this.scope = { state: 'closed', ...options.scope };
+    // Review bots whose comments are analyzed, each with the parser for its format (see bot-registry.js)
+    this.reviewBots = options.reviewBots || window.DEFAULT_REVIEW_BOTS;
+    this.botsByLogin = new Map(this.reviewBots.map(bot => [bot.login, bot]));
+    // REST base (https://HOST/api/v3 on Enterprise Server) and GraphQL endpoint
+    this.apiBaseUrl = options.apiBaseUrl || GITHUB_API_URL;
+    this.graphqlUrl = options.graphqlUrl || GRAPHQL_API_URL;
+    // Tracks REST, Search and GraphQL rate limits and waits them out (see request-scheduler.js)
+    this.scheduler = new RequestScheduler();
+    // 'rest' (per-PR requests) or 'graphql' (batched aliased queries, needs a token)
+    this.fetchStrategy = options.fetchStrategy || 'rest';
+    this.graphqlBatchLimit = GRAPHQL_MAX_BATCH_SIZE;
+    // Compare suggested changes with the PR's final code (see suggestion-verifier.js); costs extra REST requests
+    this.verifySuggestionsEnabled = !!options.verifySuggestions;
+    // Side runs such as a period comparison pass checkpoint: false so they leave the saved progress alone
+    this.checkpointEnabled = options.checkpoint !== false;
+    // Settings a checkpoint must have been saved with to be resumed (see getCheckpointKey). The fetch
+    // strategy is the one asked for, before the fallback below, so the side panel can build the same key.
+    this.checkpointSettings = {
+      apiBaseUrl: this.apiBaseUrl,
+      fetchStrategy: this.fetchStrategy,
+      verifySuggestions: this.verifySuggestionsEnabled,
+      reviewBots: this.reviewBots
+    };
+    // `${repository}@${sha}:${path}` -> Promise of the file's content (null if it no longer exists)
+    this.fileContents = new Map();
+    // `${repository}@${sha}` -> Promise of the commit's date, for "Addressed in commit" timing
+    this.commitDates = new Map();
+    // Inline issue -> its review thread, so suggestion verification can reclassify the outcome
+    this.issueThreads = new WeakMap();
+    // Local cache of fetched comments/threads (see pr-cache.js)
+    // Entries from an Enterprise Server are namespaced by its host so they can't collide with github.com
+    // and by the bots analyzed, since only their comments are kept
+    const cacheNamespace = this.apiBaseUrl === GITHUB_API_URL ? '' : new URL(this.apiBaseUrl).host;
+    const cacheVariant = [...this.botsByLogin.keys()].sort().join(',');
+    this.cache = window.PRCache ? new window.PRCache(cacheNamespace, cacheVariant) : null;
+    this.cacheHits = 0;
 
     // Log token status for debugging (never log the actual token!)
     if (this.token) {
       console.log('✅ GitHub API initialized (token provided) - 5,000 requests/hour available');
     } else {
-      console.warn('⚠️ WARNING: No GitHub token found! Using unauthenticated requests (60/hour limit). Add token to config.js for 5,000/hour limit.');
+      console.warn('⚠️ WARNING: No GitHub token found! Using unauthenticated requests (60/hour limit). Add a token on the options page for 5,000/hour limit.');
+    }
+
+    // GraphQL requires authentication, so batching is only possible with a token
+    if (this.fetchStrategy === 'graphql' && !this.token) {
+      console.warn('⚠️ Batched GraphQL fetching needs a token, falling back to REST');
+      this.fetchStrategy = 'rest';
     }
   }
 
   async fetchWithRetry(url, retries = 3) {
+    const resource = RequestScheduler.getResource(url);
+    let rateLimitWaits = 0;
+
     for (let i = 0; i < retries; i++) {
       try {
         const headers = {
@@ -34,35 +138,50 @@ class GitHubAPI {
           headers['Authorization'] = `token ${this.token}`;
         }
 
-        const response = await fetch(url, { headers });
+        // Waits while the run is paused, or this rate limit bucket is exhausted or backing off
+        const signal = this.control?.signal;
+        await this.control?.checkpoint();
+        await this.scheduler.acquire(resource, signal);
+        const response = await fetch(url, { headers, signal });
 
         // Update rate limit info
+        this.scheduler.record(resource, response);
         const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
         const rateLimitLimit = response.headers.get('x-ratelimit-limit');
         const rateLimitReset = response.headers.get('x-ratelimit-reset');
-        this.rateLimitRemaining = rateLimitRemaining;
 
         // Log rate limit info on first request
-        if (i === 0) {
+        if (i === 0 && rateLimitWaits === 0) {
           console.log(`GitHub API Rate Limit: ${rateLimitRemaining}/${rateLimitLimit} remaining (${isAuthenticated ? 'Authenticated' : 'Unauthenticated'})`);
         }
 
-        if (response.status === 403) {
-          // Check if it's a rate limit error
-          if (rateLimitRemaining === '0' && rateLimitReset) {
-            const resetTime = parseInt(rateLimitReset) * 1000;
+        if (response.status === 403 || response.status === 429) {
+          // Primary and secondary rate limits are waited out instead of failing the run
+          const backoffMs = this.scheduler.getBackoff(resource, response, await response.text());
+
+          if (backoffMs !== null && rateLimitWaits < MAX_RATE_LIMIT_WAITS) {
+            rateLimitWaits++;
+            await this.scheduler.backOff(resource, backoffMs, signal);
+            i--; // Waiting for the rate limit doesn't use up a retry
+            continue;
+          }
+
+          if (backoffMs !== null) {
+            const resetTime = rateLimitReset ? parseInt(rateLimitReset) * 1000 : Date.now() + backoffMs;
             const resetDate = new Date(resetTime);
             const minutesUntilReset = Math.ceil((resetTime - Date.now()) / 1000 / 60);
 
             const authStatus = isAuthenticated ? 'Authenticated' : 'Unauthenticated';
             const expectedLimit = isAuthenticated ? '5,000' : '60';
 
-            throw new Error(
+            const error = new Error(
               `GitHub API rate limit exceeded (${authStatus}, limit: ${expectedLimit}/hour). ` +
               `Limit resets in ${minutesUntilReset} minutes (at ${resetDate.toLocaleTimeString()}). ` +
-              `${!isAuthenticated ? 'NOTICE: Token not found! Check config.js. ' : ''}` +
+              `${!isAuthenticated ? 'NOTICE: Token not found! Add one on the options page. ' : ''}` +
               `Try again later or reduce your date range.`
             );
+            error.rateLimited = true;
+            throw error;
           }
           throw new Error('GitHub API access forbidden. You may need to log in to GitHub.');
         }
@@ -72,11 +191,33 @@ class GitHubAPI {
         }
 
         if (response.status === 404) {
-          throw new Error(
-            `Repository not found: ${this.owner}/${this.repo}. ` +
-            `Please check that the organization and repository names are correct, ` +
-            `and that the repository exists and is accessible.`
-          );
+          const error = this.repos.length > 0
+            ? new Error(
+              `Repository not found: ${this.repos.map(repo => `${this.owner}/${repo}`).join(', ')}. ` +
+              `Please check that the organization and repository names are correct, ` +
+              `and that the repositories exist and are accessible.`
+            )
+            : new Error(
+              `Organization not found: ${this.owner}. ` +
+              `Please check that the organization name is correct and that it is accessible.`
+            );
+          // Retrying won't make it appear (files removed by a PR also end up here)
+          error.notFound = true;
+          throw error;
+        }
+
+        if (response.status === 422) {
+          // Search API rejects queries for orgs/users/repos it can't see; other endpoints answer 422
+          // for things that don't exist, like a commit that was force-pushed away
+          const error = url.startsWith(`${this.apiBaseUrl}/search/`)
+            ? new Error(
+              `GitHub could not search ${this.getSearchScope()}. ` +
+              `Please check that the organization and repository names are correct and that they are accessible.`
+            )
+            : new Error(`GitHub API error: 422 ${(await response.json().catch(() => null))?.message || response.statusText}`);
+          // Retrying won't change the answer
+          error.notFound = true;
+          throw error;
         }
 
         if (!response.ok) {
@@ -85,9 +226,10 @@ class GitHubAPI {
 
         return await response.json();
       } catch (error) {
-        if (i === retries - 1) throw error;
+        // Never retry a cancelled run, or a rate limit we've already waited out several times
+        if (error.name === 'AbortError' || error.rateLimited || error.notFound || i === retries - 1) throw error;
         console.log(`Request failed, retrying (${i + 1}/${retries})...`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+        await abortableSleep(1000 * (i + 1), this.control?.signal);
       }
     }
   }
@@ -145,124 +287,227 @@ class GitHubAPI {
     return results;
   }
 
-  parseActionableIssue(body) {
-    if (!body) return null;
+  // Parses a review bot comment with its bot's parser into its actionable issues. A regular comment
+  // yields at most one; a review summary may bundle many (nitpicks, outside diff range)
+  // if the parser implements parseReviewSummary.
+  parseActionableIssues(comment) {
+    const bot = this.botsByLogin.get(comment.user?.login);
+    if (!bot) return [];
+
+    const parser = getCommentParser(bot.parser);
+
+    if (comment.kind === 'review' && parser.parseReviewSummary) {
+      return parser.parseReviewSummary(comment.body, comment).map(parsed => this.createIssue(parsed, bot, {
+        path: parsed.path,
+        startLine: parsed.startLine,
+        endLine: parsed.endLine,
+        language: detectLanguage(parsed.path),
+        diffHunk: null
+      }));
+    }
 
-    // Extract severity and priority from markers
-    // Patterns like: "_⚠️ Potential issue_ | _🟠 Major_"
-    const severityMatch = body.match(/_(⚠️|🧹|💡|🔍)\s*([^_]+)_\s*\|\s*_([🔵🟠🟡🔴🟣])\s*([^_]+)_/);
+    const parsed = parser.parse(comment.body, comment);
+    if (!parsed) return [];
 
-    if (!severityMatch) {
-      return null;
+    // Where the comment points (see issue-details.js); parsers may supply their own suggestion
+    const location = getCommentLocation(comment);
+    return [this.createIssue({
+      category: 'inline',
+      ...parsed,
+      suggestion: parsed.suggestion || extractSuggestion(comment.body, location)
+    }, bot, location)];
+  }
+
+  // Issue shape shared by all parsers; url, timestamp and acceptance are filled in by buildPullRequestRecord
+  createIssue(parsed, bot, location) {
+    return {
+      ...parsed,
+      ...location,
+      suggestion: parsed.suggestion || null,
+      aiPrompt: parsed.aiPrompt || null,
+      bot: bot.login,
+      botName: bot.name,
+      url: '',
+      timestamp: '',
+      accepted: false,
+      acceptanceMethod: null,
+      // See classifyOutcome; summary findings have no thread, so they stay 'ignored' unless accepted
+      outcome: 'ignored',
+      // See getThreadTiming and recordTiming
+      firstAuthorReplyAt: null,
+      resolvedAt: null,
+      addressedAt: null,
+      addressedCommit: null
+    };
+  }
+
+  isReviewBotComment(comment) {
+    return this.botsByLogin.has(comment.user?.login);
+  }
+
+  // Builds the search qualifiers for a PR scope, shared with the side panel's GitHub search link.
+  // scope: { state: closed|merged|unmerged|open|all, author, label, base, extra (raw qualifiers) }
+  static buildScopeQualifiers(scope = {}) {
+    const qualifiers = [PR_STATE_SCOPES[scope.state || 'closed'].qualifiers];
+
+    if (scope.author) {
+      qualifiers.push(`author:${scope.author}`);
+    }
+    if (scope.label) {
+      // Labels may contain spaces, so quote them
+      qualifiers.push(`label:"${scope.label.replace(/"/g, '')}"`);
+    }
+    if (scope.base) {
+      qualifiers.push(`base:${scope.base}`);
+    }
+    if (scope.extra) {
+      qualifiers.push(scope.extra.trim());
     }
 
-    const severity = severityMatch[2].trim();
-    const priority = severityMatch[4].trim();
+    return qualifiers.filter(Boolean).join(' ');
+  }
 
-    let title = '';
-    let description = '';
+  // Searches the PRs in scope created in [rangeStart, rangeEnd]. The Search API stops at 1,000 results,
+  // so windows holding more than that are split in half recursively until each one fits.
+  // Windows that can't be split any further are recorded in truncatedRanges.
+  async searchPRsInRange(rangeStart, rangeEnd, progressCallback, truncatedRanges) {
+    const qualifiers = GitHubAPI.buildScopeQualifiers(this.scope);
+    const searchQuery = `type:pr ${qualifiers ? `${qualifiers} ` : ''}${this.getSearchScope()} created:${formatSearchDate(rangeStart)}..${formatSearchDate(rangeEnd)}`;
+    const searchUrl = `${this.apiBaseUrl}/search/issues?q=${encodeURIComponent(searchQuery)}&sort=created&order=desc&per_page=100`;
 
-    // Try multiple patterns for extracting title and description
+    const firstPage = await this.fetchWithRetry(`${searchUrl}&page=1`);
+    const totalCount = firstPage.total_count || 0;
+    const spanMs = rangeEnd.getTime() - rangeStart.getTime();
 
-    // Pattern 1: Title after </details> with bold formatting
-    const issueMatch = body.match(/<\/details>\s*\n\s*\*\*([^*]+)\*\*/);
-    if (issueMatch) {
-      title = issueMatch[1].trim();
-      const afterTitle = body.substring(body.indexOf(issueMatch[0]) + issueMatch[0].length);
-      const descMatch = afterTitle.match(/^([\s\S]*?)(?:<details>|<!--)/);
-      if (descMatch) {
-        description = descMatch[1].trim().replace(/\n{3,}/g, '\n\n');
-      }
-    } else {
-      // Pattern 2: Look for any bold text after the severity line
-      const afterSeverity = body.substring(body.indexOf(severityMatch[0]) + severityMatch[0].length);
-      const boldMatch = afterSeverity.match(/\*\*([^*]+)\*\*/);
-      if (boldMatch) {
-        title = boldMatch[1].trim();
-      }
+    if (totalCount > SEARCH_RESULT_CAP && spanMs > MIN_SEARCH_WINDOW_MS) {
+      // Split on a whole second so the two halves don't overlap
+      const midpoint = new Date(rangeStart.getTime() + Math.floor(spanMs / 2000) * 1000);
 
-      // Pattern 3: Extract text after severity marker until end or next section
-      const textMatch = afterSeverity.match(/^\s*\n\s*([^\n<]+)/);
-      if (!title && textMatch) {
-        title = textMatch[1].trim();
+      if (progressCallback) {
+        progressCallback({
+          status: `Found ${totalCount} PRs between ${rangeStart.toISOString().split('T')[0]} and ` +
+            `${rangeEnd.toISOString().split('T')[0]}, splitting the search into smaller ranges...`
+        });
       }
 
-      // Get description (text after title or after severity)
-      const descStart = title ? afterSeverity.indexOf(title) + title.length : 0;
-      const descText = afterSeverity.substring(descStart);
-      const descMatch = descText.match(/^\s*\n\s*([^\n<`]+)/);
-      if (descMatch) {
-        description = descMatch[1].trim();
-      }
+      const firstHalf = await this.searchPRsInRange(rangeStart, midpoint, progressCallback, truncatedRanges);
+      const secondHalf = await this.searchPRsInRange(
+        new Date(midpoint.getTime() + 1000), rangeEnd, progressCallback, truncatedRanges
+      );
+      return firstHalf.concat(secondHalf);
     }
 
-    // If still no title, use first 100 chars of body as title
-    if (!title) {
-      const cleanBody = body.replace(/<[^>]+>/g, '').replace(/[_*`]/g, '').trim();
-      const lines = cleanBody.split('\n').filter(line => line.trim());
-      if (lines.length > 0) {
-        title = lines[0].substring(0, 100) + (lines[0].length > 100 ? '...' : '');
-      }
+    if (totalCount > SEARCH_RESULT_CAP) {
+      console.warn(`⚠️ ${totalCount} PRs created between ${formatSearchDate(rangeStart)} and ${formatSearchDate(rangeEnd)}; only the first ${SEARCH_RESULT_CAP} can be fetched`);
+      truncatedRanges.push({
+        start: formatSearchDate(rangeStart),
+        end: formatSearchDate(rangeEnd),
+        totalCount
+      });
     }
 
-    return {
-      severity,
-      priority,
-      title,
-      description,
-      url: '',
-      timestamp: '',
-      accepted: false,
-      acceptanceMethod: null
-    };
+    let results = firstPage.items || [];
+    const maxPages = Math.ceil(Math.min(totalCount, SEARCH_RESULT_CAP) / 100);
+
+    for (let page = 2; page <= maxPages; page++) {
+      const data = await this.fetchWithRetry(`${searchUrl}&page=${page}`);
+      const items = data.items || [];
+      if (items.length === 0) break;
+      results = results.concat(items);
+    }
+
+    return results;
+  }
+
+  // Search qualifiers for the analysis scope: one repo: per repo, or the whole org when no repo is given
+  getSearchScope() {
+    return GitHubAPI.buildSearchScope(this.owner, this.repo);
+  }
+
+  // Splits the Repository field into repo names ("web, api" -> ['web', 'api']), without duplicates
+  static parseRepositories(repo = '') {
+    return [...new Set((repo || '').split(',').map(name => name.trim()).filter(Boolean))];
+  }
+
+  // Shared with the side panel's GitHub search link. Search ORs repeated repo: qualifiers.
+  static buildSearchScope(owner, repo) {
+    const repos = GitHubAPI.parseRepositories(repo);
+    return repos.length > 0
+      ? repos.map(name => `repo:${owner}/${name}`).join(' ')
+      : `org:${owner}`;
+  }
+
+  // Search API items only carry the repository API URL (https://api.github.com/repos/owner/repo,
+  // https://HOST/api/v3/repos/owner/repo on Enterprise Server)
+  getRepositoryFromItem(item) {
+    if (item.repository_url) {
+      return item.repository_url.split('/repos/')[1];
+    }
+    return `${this.owner}/${this.repo}`;
   }
 
-  async fetchPRComments(prNumber) {
+  async fetchPRComments(prNumber, repository = `${this.owner}/${this.repo}`) {
     try {
       // Fetch all comment types in parallel for better performance
       const [reviews, reviewComments, issueComments] = await Promise.all([
         this.fetchAllPages(
-          `https://api.github.com/repos/${this.owner}/${this.repo}/pulls/${prNumber}/reviews`
+          `${this.apiBaseUrl}/repos/${repository}/pulls/${prNumber}/reviews`
         ),
         this.fetchAllPages(
-          `https://api.github.com/repos/${this.owner}/${this.repo}/pulls/${prNumber}/comments`
+          `${this.apiBaseUrl}/repos/${repository}/pulls/${prNumber}/comments`
         ),
         this.fetchAllPages(
-          `https://api.github.com/repos/${this.owner}/${this.repo}/issues/${prNumber}/comments`
+          `${this.apiBaseUrl}/repos/${repository}/issues/${prNumber}/comments`
         )
       ]);
 
-      // Filter for CodeRabbit comments and combine
+      // Filter for review bot comments and combine
+      // kind tells review summaries apart from inline review comments and PR conversation comments
       const comments = [
-        ...reviews.filter(r => r.user.login === CODERABBIT_USERNAME && r.body),
-        ...reviewComments.filter(c => c.user.login === CODERABBIT_USERNAME),
-        ...issueComments.filter(c => c.user.login === CODERABBIT_USERNAME)
+        ...reviews.filter(r => this.isReviewBotComment(r) && r.body).map(r => ({ ...r, kind: 'review' })),
+        ...reviewComments.filter(c => this.isReviewBotComment(c)).map(c => ({ ...c, kind: 'review-comment' })),
+        ...issueComments.filter(c => this.isReviewBotComment(c)).map(c => ({ ...c, kind: 'issue-comment' }))
       ];
 
       return comments;
     } catch (error) {
-      console.error(`Error fetching comments for PR #${prNumber}:`, error);
-      return [];
+      // Rethrow so a failed fetch is never mistaken for (and cached as) a PR without comments
+      if (error.name !== 'AbortError') {
+        console.error(`Error fetching comments for PR #${prNumber}:`, error);
+      }
+      throw error;
     }
   }
 
-  async fetchGraphQLThreads(prNumber) {
+  // Returns all of the PR's review threads with all of their comments, or null if they couldn't be fetched
+  async fetchGraphQLThreads(prNumber, repository = `${this.owner}/${this.repo}`) {
     try {
       const query = `
-        query($owner: String!, $repo: String!, $prNumber: Int!) {
+        query($owner: String!, $repo: String!, $prNumber: Int!, $cursor: String) {
           repository(owner: $owner, name: $repo) {
             pullRequest(number: $prNumber) {
-              reviewThreads(first: 100) {
+              reviewThreads(first: 100, after: $cursor) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
                 nodes {
                   id
                   isResolved
+                  isOutdated
                   comments(first: 100) {
+                    pageInfo {
+                      hasNextPage
+                      endCursor
+                    }
                     nodes {
                       id
                       databaseId
                       url
                       body
+                      createdAt
                       author {
+                        __typename
                         login
                       }
                     }
@@ -274,41 +519,93 @@ class GitHubAPI {
         }
       `;
 
-      const variables = {
-        owner: this.owner,
-        repo: this.repo,
-        prNumber: prNumber
-      };
+      const [owner, repo] = repository.split('/');
+      const threads = [];
+      let cursor = null;
 
-      const response = await fetch('https://api.github.com/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${GITHUB_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ query, variables })
-      });
+      // Page through the PR's review threads
+      do {
+        const data = await this.fetchGraphQL(query, { owner, repo, prNumber, cursor });
 
-      if (!response.ok) {
-        console.error(`GraphQL request failed for PR #${prNumber}:`, response.status);
-        return [];
-      }
+        if (data.errors) {
+          console.error(`GraphQL errors for PR #${prNumber}:`, data.errors);
+          return null;
+        }
 
-      const data = await response.json();
+        const connection = data.data?.repository?.pullRequest?.reviewThreads;
+        if (!connection) break;
 
-      if (data.errors) {
-        console.error(`GraphQL errors for PR #${prNumber}:`, data.errors);
-        return [];
+        threads.push(...connection.nodes);
+        cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+      } while (cursor);
+
+      // Threads with more than 100 comments fetch the remaining pages separately
+      for (const thread of threads) {
+        if (thread.comments.pageInfo.hasNextPage) {
+          const moreComments = await this.fetchThreadComments(thread.id, thread.comments.pageInfo.endCursor);
+          if (moreComments === null) return null;
+          thread.comments.nodes.push(...moreComments);
+        }
       }
 
-      const threads = data.data?.repository?.pullRequest?.reviewThreads?.nodes || [];
       return threads;
     } catch (error) {
+      // Only a query GitHub rejects leaves the PR without threads; rate limits and failed
+      // requests fail the chunk, so its progress can be resumed instead of losing acceptance
+      if (!error.graphqlRejected) throw error;
       console.error(`Error fetching GraphQL threads for PR #${prNumber}:`, error);
-      return [];
+      return null;
     }
   }
 
+  // Fetches the comments of a review thread starting after cursor, or null on GraphQL errors
+  async fetchThreadComments(threadId, cursor) {
+    const query = `
+      query($threadId: ID!, $cursor: String) {
+        node(id: $threadId) {
+          ... on PullRequestReviewThread {
+            comments(first: 100, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                id
+                databaseId
+                url
+                body
+                createdAt
+                author {
+                  __typename
+                  login
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const comments = [];
+
+    while (cursor) {
+      const data = await this.fetchGraphQL(query, { threadId, cursor });
+
+      if (data.errors) {
+        console.error(`GraphQL errors for review thread ${threadId}:`, data.errors);
+        return null;
+      }
+
+      const connection = data.data?.node?.comments;
+      if (!connection) break;
+
+      comments.push(...connection.nodes);
+      cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    }
+
+    return comments;
+  }
+
   detectAddressedInComment(commentBody) {
     if (!commentBody) return false;
 
@@ -334,177 +631,1077 @@ class GitHubAPI {
     return found;
   }
 
-  async analyzePRs(progressCallback) {
+  // Returns the short or full SHA named by an "Addressed in commit" note (the last one of a range), or null
+  extractAddressedCommit(commentBody) {
+    if (!commentBody) return null;
+
+    const match = commentBody.match(/(?:Addressed|Applied|Fixed|Resolved)\s+in\s+commits?\b([^\n]*)/i);
+    if (!match) return null;
+
+    const shas = match[1].match(/\b[0-9a-f]{7,40}\b/g);
+    return shas ? shas[shas.length - 1] : null;
+  }
+
+  // When things happened in an inline comment's thread:
+  // - firstAuthorReplyAt: the PR author's first reply
+  // - resolvedAt: GitHub doesn't report when a thread was resolved, so this is the last reply of a
+  //   resolved thread, or the PR's close time when nobody replied (null for open PRs)
+  // - addressedAt: when the "Addressed in commit" reply was posted, refined to the commit's date
+  //   by resolveAddressedDates when the note names a commit (addressedCommit)
+  getThreadTiming(pr, comment, thread) {
+    const replies = thread ? thread.comments.nodes.slice(1) : [];
+    const authorReply = replies.find(reply => this.getGraphQLLogin(reply.author) === pr.user.login);
+
+    let resolvedAt = null;
+    if (thread?.isResolved) {
+      resolvedAt = replies.length > 0 ? replies[replies.length - 1].createdAt : pr.closed_at || null;
+    }
+
+    // An edited original comment has no time of its own for the note
+    const addressedReply = replies.find(reply => this.detectAddressedInComment(reply.body));
+    const addressedCommit = this.extractAddressedCommit(comment.body) ||
+      (addressedReply ? this.extractAddressedCommit(addressedReply.body) : null);
+
+    return {
+      firstAuthorReplyAt: authorReply?.createdAt || null,
+      resolvedAt,
+      addressedAt: addressedReply?.createdAt || null,
+      addressedCommit
+    };
+  }
+
+  // Replaces the addressedAt of issues whose note names a commit with that commit's date
+  async resolveAddressedDates(record) {
+    for (const issue of record.actionableIssues) {
+      if (!issue.addressedCommit) continue;
+
+      try {
+        const committedAt = await this.fetchCommitDate(record.repository, issue.addressedCommit);
+        if (committedAt) issue.addressedAt = committedAt;
+      } catch (error) {
+        if (error.name === 'AbortError' || error.rateLimited) throw error;
+        // Force-pushed commits disappear; the reply time is the next best thing
+        console.error(`Error fetching commit ${issue.addressedCommit} of ${record.repository}:`, error);
+      }
+    }
+  }
+
+  // Returns the committer date of a commit (many issues are usually addressed by the same one)
+  fetchCommitDate(repository, sha) {
+    const key = `${repository}@${sha}`;
+
+    if (!this.commitDates.has(key)) {
+      const url = `${this.apiBaseUrl}/repos/${repository}/commits/${sha}`;
+      this.commitDates.set(key, this.fetchWithRetry(url).then(
+        commit => commit.commit?.committer?.date || null,
+        error => {
+          this.commitDates.delete(key);
+          throw error;
+        }
+      ));
+    }
+
+    return this.commitDates.get(key);
+  }
+
+  // Sets each issue's timeToFixHours (posted -> addressed or resolved, accepted issues only) and
+  // responseHours (posted -> the PR author's first reply), plus per-PR medians in record.timing
+  recordTiming(record) {
+    record.actionableIssues.forEach(issue => {
+      const fixedAt = issue.accepted ? issue.addressedAt || issue.resolvedAt : null;
+      issue.timeToFixHours = hoursBetween(issue.timestamp, fixedAt);
+      issue.responseHours = hoursBetween(issue.timestamp, issue.firstAuthorReplyAt);
+    });
+
+    const timeToFix = summarizeDurations(record.actionableIssues
+      .map(issue => issue.timeToFixHours)
+      .filter(hours => hours !== null));
+    const response = summarizeDurations(record.actionableIssues
+      .map(issue => issue.responseHours)
+      .filter(hours => hours !== null));
+
+    record.timing = {
+      fixedIssues: timeToFix.count,
+      medianTimeToFixHours: timeToFix.medianHours,
+      repliedIssues: response.count,
+      medianResponseHours: response.medianHours
+    };
+  }
+
+  // Median and p90 time to fix and response time, overall and by priority and severity
+  summarizeTiming(prsWithIssues) {
+    const issues = prsWithIssues.flatMap(pr => pr.actionableIssues);
+
+    const summarize = field => {
+      const durations = list => summarizeDurations(list
+        .map(issue => issue[field])
+        .filter(hours => hours !== null && hours !== undefined));
+      const groupBy = key => {
+        const groups = {};
+        issues.forEach(issue => {
+          const value = issue[key] || 'Unknown';
+          (groups[value] = groups[value] || []).push(issue);
+        });
+        return Object.fromEntries(Object.entries(groups).map(([value, group]) => [value, durations(group)]));
+      };
+
+      return {
+        overall: durations(issues),
+        byPriority: groupBy('priority'),
+        bySeverity: groupBy('severity')
+      };
+    };
+
+    return {
+      timeToFix: summarize('timeToFixHours'),
+      response: summarize('responseHours')
+    };
+  }
+
+  // Whether a human reply pushes back on a comment instead of acting on it
+  detectPushbackInReply(replyBody) {
+    if (!replyBody) return false;
+
+    const patterns = [
+      /won'?t\s+fix/i,
+      /wontfix/i,
+      /will\s+not\s+fix/i,
+      /not\s+(going|gonna)\s+to\s+(fix|change)/i,
+      /\bintentional(ly)?\b/i,
+      /by\s+design/i,
+      /works\s+as\s+(intended|expected)/i,
+      /false\s+positive/i,
+      /not\s+an?\s+(issue|bug|problem)/i,
+      /not\s+(applicable|relevant)/i,
+      /doesn'?t\s+apply/i,
+      /\bdisagree\b/i,
+      /out\s+of\s+scope/i
+    ];
+
+    return patterns.some(pattern => pattern.test(replyBody));
+  }
+
+  // Whether a review bot's follow-up acknowledges an explanation (CodeRabbit answers pushback
+  // with "Thank you for the clarification" and often records a learning)
+  detectAcknowledgementInReply(replyBody) {
+    if (!replyBody) return false;
+
+    const patterns = [
+      /Learnings?\s+added/i,
+      /thanks?\s+(you\s+)?for\s+(the\s+)?(clarification|clarifying|explanation|explaining|context)/i,
+      /\bunderstood\b/i,
+      /you'?re\s+(absolutely\s+)?(right|correct)/i,
+      /that\s+makes\s+sense/i
+    ];
+
+    return patterns.some(pattern => pattern.test(replyBody));
+  }
+
+  // Classifies what happened to an inline comment:
+  // 'accepted'  - resolved, addressed in a commit, or (with verification) its suggestion landed
+  // 'rejected'  - someone pushed back or explained and the bot acknowledged it, or the thread was resolved
+  //               although suggestion verification found its change wasn't applied
+  // 'outdated'  - the commented code changed, but nothing confirms the comment was acted on
+  // 'discussed' - a human replied without accepting or rejecting it
+  // 'ignored'   - no reply, no resolution, and the code is unchanged
+  classifyOutcome(issue, thread) {
+    if (issue.accepted) return 'accepted';
+    if (!thread) return 'ignored';
+
+    const replies = thread.comments.nodes.slice(1);
+    const humanReplies = replies.filter(reply => !this.isBotLogin(this.getGraphQLLogin(reply.author)));
+    const botReplies = replies.filter(reply => this.isBotLogin(this.getGraphQLLogin(reply.author)));
+
+    const pushedBack = humanReplies.some(reply => this.detectPushbackInReply(reply.body)) ||
+      (humanReplies.length > 0 && botReplies.some(reply => this.detectAcknowledgementInReply(reply.body)));
+
+    if (pushedBack) return 'rejected';
+    if (thread.isResolved && issue.verification === 'not-applied') return 'rejected';
+    if (thread.isOutdated) return 'outdated';
+    if (humanReplies.length > 0) return 'discussed';
+    return 'ignored';
+  }
+
+  // Review bots and GitHub Apps (logins ending in "[bot]") don't count as human replies
+  isBotLogin(login) {
+    return this.botsByLogin.has(login) || login.endsWith('[bot]');
+  }
+
+  // control is an optional AnalysisControl used to cancel or pause the run (see analysis-control.js)
+  async analyzePRs(progressCallback, control = null) {
+    this.control = control;
+
+    // Search the whole days covered by the range (end date is inclusive)
+    const rangeStart = new Date(this.startDate.toISOString().split('T')[0] + 'T00:00:00Z');
+    const rangeEnd = new Date(this.endDate.toISOString().split('T')[0] + 'T23:59:59Z');
+
+    // Long ranges are processed one chunk at a time, with progress checkpointed to storage
+    // after each chunk so a closed panel or an exhausted rate limit doesn't lose the work
+    const chunks = this.splitIntoChunks(rangeStart, rangeEnd);
+    const startDateStr = this.startDate.toISOString().split('T')[0];
+    const endDateStr = this.endDate.toISOString().split('T')[0];
+    const checkpointKey = GitHubAPI.getCheckpointKey(
+      this.owner, this.repo, startDateStr, endDateStr, GitHubAPI.buildScopeQualifiers(this.scope), this.checkpointSettings
+    );
+    const checkpoint = this.checkpointEnabled ? await GitHubAPI.loadCheckpoint() : null;
+
+    // Rate limit pauses show a countdown instead of failing the run
+    this.scheduler.onWait = ({ label, resumeAt }) => {
+      progressCallback({
+        status: `GitHub ${label} rate limit reached, pausing until it resets.`,
+        waitUntil: resumeAt
+      });
+    };
+
+    let state;
+    if (checkpoint && checkpoint.key === checkpointKey && checkpoint.totalChunks === chunks.length) {
+      state = checkpoint;
+      console.log(`💾 Resuming analysis from checkpoint (${state.completedChunks}/${state.totalChunks} date ranges done)`);
+      progressCallback({ status: `Resuming saved progress (${state.completedChunks} of ${state.totalChunks} date ranges done)...` });
+    } else {
+      state = {
+        format: CHECKPOINT_FORMAT,
+        key: checkpointKey,
+        // Inputs are kept so the side panel can restore them after being closed
+        params: {
+          owner: this.owner,
+          repo: this.repo,
+          startDate: startDateStr,
+          endDate: endDateStr,
+          scope: this.scope,
+          fetchStrategy: this.checkpointSettings.fetchStrategy,
+          verifySuggestions: this.checkpointSettings.verifySuggestions
+        },
+        totalChunks: chunks.length,
+        completedChunks: 0,
+        totalPRs: 0,
+        repoPRCounts: {},
+        // PRs per author, including those without actionable issues
+        authorPRCounts: {},
+        // PRs per creation day (YYYY-MM-DD), for issues-per-PR trends
+        prCountsByDay: {},
+        // PRs by outcome: merged, closed without merging, still open
+        prStateCounts: { merged: 0, unmerged: 0, open: 0 },
+        truncatedRanges: [],
+        pullRequests: []
+      };
+    }
+
     try {
-      // Use Search API to fetch closed PRs (both merged and closed-without-merging) in date range
-      progressCallback({ status: 'Fetching closed PRs from GitHub...' });
-
-      // Format dates for GitHub search query (YYYY-MM-DD)
-      const startDateStr = this.startDate.toISOString().split('T')[0];
-      const endDateStr = this.endDate.toISOString().split('T')[0];
-
-      // GitHub Search API: type:pr is:closed repo:owner/repo created:start..end
-      // is:closed includes both merged PRs and closed-without-merging PRs
-      const searchQuery = `type:pr is:closed repo:${this.owner}/${this.repo} created:${startDateStr}..${endDateStr}`;
-      const searchUrl = `https://api.github.com/search/issues?q=${encodeURIComponent(searchQuery)}&sort=created&order=desc&per_page=100`;
-
-      const searchResults = await this.fetchAllPages(searchUrl);
-
-      // Search API returns items in 'items' array, convert to PR format
-      const allPRs = searchResults.map(item => ({
-        number: item.number,
-        title: item.title,
-        state: item.state,
-        created_at: item.created_at,
-        merged_at: item.closed_at, // Use closed_at for all closed PRs
-        html_url: item.html_url,
-        user: item.user
-      }));
+      for (let c = state.completedChunks; c < chunks.length; c++) {
+        await this.control?.checkpoint();
+        await this.analyzeChunk(chunks[c], c, chunks.length, state, progressCallback);
+        state.completedChunks = c + 1;
 
-      // All PRs from search are already closed (merged or not) and in date range
-      const filteredPRs = allPRs;
+        if (this.checkpointEnabled && state.completedChunks < chunks.length) {
+          await GitHubAPI.saveCheckpoint(state);
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Hand back whatever was collected so the panel can offer to show it
+        error.partialResults = this.buildResults(state, true);
+        throw error;
+      }
+      if (this.checkpointEnabled && state.completedChunks > 0) {
+        throw new Error(
+          `${error.message} Progress for ${state.completedChunks} of ${chunks.length} date ranges was saved; ` +
+          `run the same analysis again to resume.`
+        );
+      }
+      throw error;
+    }
+
+    if (this.checkpointEnabled) {
+      await GitHubAPI.clearCheckpoint();
+    }
+    if (this.cacheHits > 0) {
+      console.log(`🗄️ ${this.cacheHits} PRs served from the local cache`);
+    }
+    progressCallback({ status: 'Processing results...' });
+
+    return this.buildResults(state);
+  }
+
+  // Splits [rangeStart, rangeEnd] into consecutive windows of at most ANALYSIS_CHUNK_DAYS days
+  splitIntoChunks(rangeStart, rangeEnd) {
+    const chunks = [];
+    const chunkMs = ANALYSIS_CHUNK_DAYS * 24 * 60 * 60 * 1000;
+    let chunkStart = rangeStart;
+
+    while (chunkStart <= rangeEnd) {
+      const chunkEnd = new Date(Math.min(chunkStart.getTime() + chunkMs - 1000, rangeEnd.getTime()));
+      chunks.push({ start: chunkStart, end: chunkEnd });
+      chunkStart = new Date(chunkEnd.getTime() + 1000);
+    }
+
+    return chunks;
+  }
+
+  // Searches and analyzes the PRs of one chunk, adding the results to state
+  async analyzeChunk(chunk, chunkIndex, totalChunks, state, progressCallback) {
+    const chunkLabel = totalChunks > 1
+      ? ` [range ${chunkIndex + 1}/${totalChunks}: ${chunk.start.toISOString().split('T')[0]} to ${chunk.end.toISOString().split('T')[0]}]`
+      : '';
+
+    // Use Search API to fetch the PRs in scope (closed ones by default, merged or not) in date range
+    const stateLabel = PR_STATE_SCOPES[this.scope.state].label;
+    const prsLabel = stateLabel ? `${stateLabel} PRs` : 'PRs';
+    progressCallback({ status: `Fetching ${prsLabel} from GitHub...${chunkLabel}` });
+
+    const rawResults = await this.searchPRsInRange(chunk.start, chunk.end, progressCallback, state.truncatedRanges);
+
+    // Split windows don't overlap, but de-duplicate in case results shifted between pages
+    const searchResults = [...new Map(rawResults.map(item => [item.html_url, item])).values()];
+
+    // Search API returns items in 'items' array, convert to PR format
+    const filteredPRs = searchResults.map(item => ({
+      number: item.number,
+      title: item.title,
+      state: item.state,
+      created_at: item.created_at,
+      updated_at: item.updated_at,
+      // Search results carry the merge time under pull_request; null for unmerged PRs
+      merged_at: item.pull_request?.merged_at || null,
+      closed_at: item.closed_at,
+      html_url: item.html_url,
+      user: item.user,
+      repository: this.getRepositoryFromItem(item)
+    }));
+
+    const repoCount = new Set(filteredPRs.map(pr => pr.repository)).size;
+    progressCallback({
+      status: this.repos.length === 1
+        ? `Found ${filteredPRs.length} ${prsLabel}. Analyzing comments...${chunkLabel}`
+        : `Found ${filteredPRs.length} ${prsLabel} across ${repoCount} repositories. Analyzing comments...${chunkLabel}`
+    });
+
+    // Progress spans all chunks: each chunk is an equal share of the bar
+    const reportProgress = (from, to) => {
+      // Show rate limit info in progress
+      const budgets = this.scheduler.describe();
+      const rateLimitInfo = budgets ? ` (Rate limit: ${budgets} remaining)` : '';
+      const cacheInfo = this.cacheHits > 0 ? ` (${this.cacheHits} from cache)` : '';
 
       progressCallback({
-        status: `Found ${filteredPRs.length} closed PRs. Analyzing comments...`,
-        total: filteredPRs.length
+        status: `Analyzing PRs ${from}-${to} of ${filteredPRs.length}...${rateLimitInfo}${cacheInfo}${chunkLabel}`,
+        current: chunkIndex * 100 + Math.round((to / filteredPRs.length) * 100),
+        total: totalChunks * 100
       });
+    };
 
-      const prsWithIssues = [];
-      let totalActionableIssues = 0;
-      let processedCount = 0;
+    // Results are added as each PR finishes, so a cancelled run keeps everything collected so far
+    const collect = async (pr, record) => {
+      if (record) {
+        if (this.verifySuggestionsEnabled) {
+          await this.verifySuggestions(record);
+        }
+        // Timing depends on the final acceptance, so it comes after verification
+        await this.resolveAddressedDates(record);
+        this.recordTiming(record);
+      }
+      state.totalPRs++;
+      state.repoPRCounts[pr.repository] = (state.repoPRCounts[pr.repository] || 0) + 1;
+      state.authorPRCounts[pr.user.login] = (state.authorPRCounts[pr.user.login] || 0) + 1;
+      const createdDay = pr.created_at.split('T')[0];
+      state.prCountsByDay[createdDay] = (state.prCountsByDay[createdDay] || 0) + 1;
+      state.prStateCounts[GitHubAPI.getPROutcome(pr)]++;
+      if (record) {
+        state.pullRequests.push(record);
+      }
+    };
 
-      // Process PRs in parallel batches for better performance
-      const BATCH_SIZE = 20; // Process 20 PRs at a time (optimized for token auth)
+    if (this.fetchStrategy === 'graphql') {
+      await this.analyzePRsWithGraphQL(filteredPRs, collect, reportProgress);
+    } else {
+      await this.analyzePRsWithREST(filteredPRs, collect, reportProgress);
+    }
+  }
 
-      for (let i = 0; i < filteredPRs.length; i += BATCH_SIZE) {
-        const batch = filteredPRs.slice(i, i + BATCH_SIZE);
+  // Default strategy: three paginated REST calls plus one GraphQL call per PR
+  async analyzePRsWithREST(prs, collect, reportProgress) {
+    // Process PRs in parallel batches; the batch size follows the remaining REST budget
+    for (let i = 0; i < prs.length;) {
+      await this.control?.checkpoint();
 
-        // Show rate limit info in progress
-        const rateLimitInfo = this.rateLimitRemaining
-          ? ` (Rate limit: ${this.rateLimitRemaining} remaining)`
-          : '';
+      const batch = prs.slice(i, i + this.scheduler.getConcurrency('core', REST_REQUESTS_PER_PR));
+      reportProgress(i + 1, i + batch.length);
 
-        progressCallback({
-          status: `Analyzing PRs ${i + 1}-${Math.min(i + BATCH_SIZE, filteredPRs.length)} of ${filteredPRs.length}...${rateLimitInfo}`,
-          current: i + batch.length,
-          total: filteredPRs.length
-        });
+      // Process batch in parallel
+      const batchResults = await Promise.all(batch.map(pr => this.analyzePullRequest(pr)));
+      await Promise.all(batch.map((pr, index) => collect(pr, batchResults[index])));
 
-        // Process batch in parallel
-        const batchResults = await Promise.all(
-          batch.map(async (pr) => {
-            try {
-              // Fetch both REST comments and GraphQL threads in parallel
-              const [comments, threads] = await Promise.all([
-                this.fetchPRComments(pr.number),
-                this.fetchGraphQLThreads(pr.number)
-              ]);
-
-              if (comments.length === 0) return null;
-
-              const actionableIssues = [];
-
-              for (const comment of comments) {
-                const issue = this.parseActionableIssue(comment.body);
-                if (issue) {
-                  issue.url = comment.html_url;
-                  issue.timestamp = comment.created_at;
-
-                  // Check for acceptance using multiple methods
-                  // Method 1: GraphQL thread resolution
-                  const matchingThread = threads.find(thread =>
-                    thread.comments.nodes.some(threadComment =>
-                      threadComment.url === comment.html_url ||
-                      threadComment.databaseId === comment.id
-                    )
-                  );
-
-                  const isResolvedViaGraphQL = matchingThread && matchingThread.isResolved;
-
-                  // Method 2: Comment body parsing for "Addressed in commit" patterns
-                  // Check BOTH the original comment AND all thread replies
-                  // (CodeRabbit may edit the original comment OR post a reply)
-                  let isAddressedInBody = false;
-
-                  // First, always check the original comment body (might have been edited)
-                  isAddressedInBody = this.detectAddressedInComment(comment.body);
-
-                  // Also check all replies in the thread if there is one
-                  if (!isAddressedInBody && matchingThread) {
-                    isAddressedInBody = matchingThread.comments.nodes.some(threadComment =>
-                      this.detectAddressedInComment(threadComment.body)
-                    );
-                  }
+      i += batch.length;
+    }
+  }
 
-                  // Mark as accepted if either method detects it
-                  if (isResolvedViaGraphQL || isAddressedInBody) {
-                    issue.accepted = true;
-                    // Prioritize body-parsing if it detects "Addressed in commit" text
-                    // (so the "(auto detect)" label shows to the user)
-                    issue.acceptanceMethod = isAddressedInBody ? 'body-parsing' : 'graphql';
-                  }
+  // Batched strategy: one aliased GraphQL query fetches reviews, threads and comments for many PRs.
+  // PRs whose connections don't fit in the first page fall back to the per-PR path.
+  async analyzePRsWithGraphQL(prs, collect, reportProgress) {
+    let processed = 0;
+
+    // Serve unchanged PRs from the cache before batching the rest
+    const uncachedByRepo = {};
+    for (const pr of prs) {
+      const cached = this.cache
+        ? await this.cache.get(pr.repository, pr.number, pr.updated_at)
+        : null;
+
+      if (cached) {
+        this.cacheHits++;
+        processed++;
+        await collect(pr, this.buildPullRequestRecord(pr, cached.comments, cached.threads));
+      } else {
+        (uncachedByRepo[pr.repository] = uncachedByRepo[pr.repository] || []).push(pr);
+      }
+    }
 
-                  actionableIssues.push(issue);
-                }
-              }
+    // Aliased pullRequest fields have to live under one repository(...) field, so batch per repo
+    for (const [repository, repoPRs] of Object.entries(uncachedByRepo)) {
+      let queue = repoPRs;
 
-              if (actionableIssues.length > 0) {
-                return {
-                  number: pr.number,
-                  title: pr.title,
-                  url: pr.html_url,
-                  state: pr.state,
-                  author: pr.user.login,
-                  createdAt: pr.created_at,
-                  actionableIssues
-                };
-              }
+      while (queue.length > 0) {
+        await this.control?.checkpoint();
 
-              return null;
-            } catch (error) {
-              console.error(`Error processing PR #${pr.number}:`, error);
-              return null;
-            }
-          })
-        );
+        const batch = queue.slice(0, this.getGraphQLBatchSize());
+        reportProgress(processed + 1, processed + batch.length);
+
+        let nodes;
+        try {
+          nodes = await this.fetchPRBatchGraphQL(repository, batch);
+        } catch (error) {
+          if (error.rateLimited || error.name === 'AbortError') throw error;
 
-        // Collect results
-        batchResults.forEach(result => {
-          if (result) {
-            prsWithIssues.push(result);
-            totalActionableIssues += result.actionableIssues.length;
+          if (batch.length > 1) {
+            // Timeouts and resource limits usually mean the query was too big: halve and retry
+            this.graphqlBatchLimit = Math.max(1, Math.floor(batch.length / 2));
+            console.warn(`GraphQL batch of ${batch.length} PRs failed, retrying with ${this.graphqlBatchLimit}:`, error);
+            continue;
           }
-        });
 
-        processedCount += batch.length;
+          console.error(`GraphQL batch failed for PR #${batch[0].number}, falling back to REST:`, error);
+          nodes = {};
+        }
+
+        queue = queue.slice(batch.length);
+
+        for (const pr of batch) {
+          const node = nodes[pr.number];
+          const fetched = node ? this.mapGraphQLPullRequest(node) : null;
+
+          if (!fetched || !fetched.complete) {
+            // Missing or more than one page of data: use the fully paginated per-PR path
+            await collect(pr, await this.analyzePullRequest(pr));
+            continue;
+          }
 
-        // Minimal delay between batches (token auth = 5000/hour = plenty of headroom)
-        if (i + BATCH_SIZE < filteredPRs.length) {
-          await new Promise(resolve => setTimeout(resolve, 50));
+          if (this.cache) {
+            await this.cache.put(pr.repository, pr.number, pr.updated_at, fetched.comments, fetched.threads);
+          }
+          await collect(pr, this.buildPullRequestRecord(pr, fetched.comments, fetched.threads));
         }
+
+        processed += batch.length;
       }
+    }
+  }
 
-      progressCallback({ status: 'Processing results...' });
+  // Picks how many PRs go into the next batched GraphQL query
+  getGraphQLBatchSize() {
+    const nodesPerPR = GRAPHQL_REVIEWS_PER_PR + GRAPHQL_ISSUE_COMMENTS_PER_PR +
+      GRAPHQL_THREADS_PER_PR * (1 + GRAPHQL_COMMENTS_PER_THREAD);
+    // GraphQL charges roughly one point per 100 connections requested
+    const connectionsPerPR = 3 + GRAPHQL_THREADS_PER_PR;
 
-      return {
-        repository: `${this.owner}/${this.repo}`,
-        dateRange: {
-          start: this.startDate.toISOString().split('T')[0],
-          end: this.endDate.toISOString().split('T')[0]
-        },
-        summary: {
-          totalPRs: filteredPRs.length,
-          totalPRsWithActionableIssues: prsWithIssues.length,
-          totalActionableIssues: totalActionableIssues,
-          avgIssuesPerPR: prsWithIssues.length > 0
-            ? (totalActionableIssues / prsWithIssues.length).toFixed(1)
-            : '0'
+    let size = Math.min(this.graphqlBatchLimit, Math.floor(GRAPHQL_NODE_LIMIT / nodesPerPR));
+
+    const graphqlLimit = this.scheduler.limits.graphql;
+    if (graphqlLimit) {
+      // Never spend more than a tenth of the remaining point budget on one query
+      const affordable = Math.floor((graphqlLimit.remaining / 10) * 100 / connectionsPerPR);
+      size = Math.min(size, affordable);
+    }
+
+    return Math.max(1, size);
+  }
+
+  // Fetches one batch of PRs of a repository; returns their pullRequest nodes keyed by PR number
+  async fetchPRBatchGraphQL(repository, prs) {
+    const [owner, repo] = repository.split('/');
+    const commentFields = 'id databaseId url body createdAt author { __typename login }';
+    // Only review comments have a diff hunk
+    const threadCommentFields = `${commentFields} diffHunk`;
+
+    const pullRequestFields = prs.map(pr => `
+      pr${pr.number}: pullRequest(number: ${pr.number}) {
+        number
+        reviews(first: ${GRAPHQL_REVIEWS_PER_PR}) {
+          pageInfo { hasNextPage }
+          nodes { ${commentFields} }
+        }
+        reviewThreads(first: ${GRAPHQL_THREADS_PER_PR}) {
+          pageInfo { hasNextPage }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            path
+            line
+            startLine
+            originalLine
+            originalStartLine
+            comments(first: ${GRAPHQL_COMMENTS_PER_THREAD}) {
+              pageInfo { hasNextPage }
+              nodes { ${threadCommentFields} }
+            }
+          }
+        }
+        comments(first: ${GRAPHQL_ISSUE_COMMENTS_PER_PR}) {
+          pageInfo { hasNextPage }
+          nodes { ${commentFields} }
+        }
+      }`).join('\n');
+
+    const query = `
+      query($owner: String!, $repo: String!) {
+        repository(owner: $owner, name: $repo) {
+          ${pullRequestFields}
+        }
+      }
+    `;
+
+    const data = await this.fetchGraphQL(query, { owner, repo });
+
+    if (data.errors) {
+      // Partial errors (e.g. one PR that can't be read) leave that alias null
+      console.warn(`GraphQL batch for ${repository} returned errors:`, data.errors);
+    }
+
+    const nodes = {};
+    Object.values(data.data?.repository || {}).forEach(node => {
+      if (node) nodes[node.number] = node;
+    });
+    return nodes;
+  }
+
+  // Converts a batched pullRequest node into the REST comment shape used by buildPullRequestRecord
+  mapGraphQLPullRequest(node) {
+    const toRestComment = (comment, extraFields = {}) => ({
+      id: comment.databaseId,
+      html_url: comment.url,
+      body: comment.body,
+      created_at: comment.createdAt,
+      user: { login: this.getGraphQLLogin(comment.author) },
+      ...extraFields
+    });
+
+    const threads = node.reviewThreads.nodes;
+    const isReviewBot = comment => this.isReviewBotComment(comment);
+
+    const reviews = node.reviews.nodes
+      .map(review => toRestComment(review, { kind: 'review' }))
+      .filter(review => isReviewBot(review) && review.body);
+    const reviewComments = threads
+      .flatMap(thread => thread.comments.nodes.map((comment, index) =>
+        toRestComment(comment, {
+          kind: 'review-comment',
+          // REST marks every comment after the first of a thread as a reply to it
+          in_reply_to_id: index > 0 ? thread.comments.nodes[0].databaseId : undefined,
+          path: thread.path,
+          line: thread.line,
+          start_line: thread.startLine,
+          original_line: thread.originalLine,
+          original_start_line: thread.originalStartLine,
+          diff_hunk: comment.diffHunk
+        })
+      ))
+      .filter(isReviewBot);
+    const issueComments = node.comments.nodes
+      .map(comment => toRestComment(comment, { kind: 'issue-comment' }))
+      .filter(isReviewBot);
+
+    const complete = !node.reviews.pageInfo.hasNextPage &&
+      !node.reviewThreads.pageInfo.hasNextPage &&
+      !node.comments.pageInfo.hasNextPage &&
+      threads.every(thread => !thread.comments.pageInfo.hasNextPage);
+
+    return {
+      comments: [...reviews, ...reviewComments, ...issueComments],
+      threads,
+      complete
+    };
+  }
+
+  // GraphQL reports bot logins without the "[bot]" suffix REST uses
+  getGraphQLLogin(author) {
+    if (!author) return 'ghost';
+    return author.__typename === 'Bot' ? `${author.login}[bot]` : author.login;
+  }
+
+  // Runs a GraphQL query; throws on transport errors and when nothing but errors came back
+  async fetchGraphQL(query, variables) {
+    const signal = this.control?.signal;
+
+    for (let rateLimitWaits = 0; ; rateLimitWaits++) {
+      await this.control?.checkpoint();
+      await this.scheduler.acquire('graphql', signal);
+
+      const response = await fetch(this.graphqlUrl, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
         },
-        pullRequests: prsWithIssues
-      };
+        body: JSON.stringify({ query, variables })
+      });
+
+      this.scheduler.record('graphql', response);
+
+      let backoffMs = null;
+      let data = null;
+
+      if (response.status === 403 || response.status === 429) {
+        backoffMs = this.scheduler.getBackoff('graphql', response, await response.text());
+      } else if (response.ok) {
+        data = await response.json();
+        // An exhausted GraphQL budget comes back as a 200 with a RATE_LIMITED error
+        if (data.errors?.some(error => error.type === 'RATE_LIMITED')) {
+          backoffMs = this.scheduler.getResetDelay('graphql');
+        }
+      }
+
+      if (backoffMs !== null) {
+        if (rateLimitWaits >= MAX_RATE_LIMIT_WAITS) {
+          const error = new Error('GitHub GraphQL rate limit exceeded. Try again later or reduce your date range.');
+          error.rateLimited = true;
+          throw error;
+        }
+        await this.scheduler.backOff('graphql', backoffMs, signal);
+        continue;
+      }
+
+      if (!response.ok) {
+        const error = new Error(`GitHub GraphQL error: ${response.status} ${response.statusText}`);
+        // The token isn't allowed to read it; asking again won't change that
+        error.graphqlRejected = response.status === 401 || response.status === 403;
+        throw error;
+      }
+
+      if (data.errors && !data.data) {
+        const error = new Error(`GitHub GraphQL error: ${data.errors.map(error => error.message).join('; ')}`);
+        error.graphqlRejected = true;
+        throw error;
+      }
+
+      return data;
+    }
+  }
+
+  // Fetches the review bot comments of one PR and returns its record, or null if it has no actionable issues
+  // Fetch failures other than a PR that no longer exists are thrown, so the chunk fails (and can be
+  // resumed) instead of counting the PR as one without issues
+  async analyzePullRequest(pr) {
+    // Unchanged PRs (same updated_at) are served from the local cache
+    const cached = this.cache
+      ? await this.cache.get(pr.repository, pr.number, pr.updated_at)
+      : null;
+
+    let comments;
+    let threads;
+    if (cached) {
+      this.cacheHits++;
+      ({ comments, threads } = cached);
+    } else {
+      try {
+        // Fetch both REST comments and GraphQL threads in parallel
+        [comments, threads] = await Promise.all([
+          this.fetchPRComments(pr.number, pr.repository),
+          this.fetchGraphQLThreads(pr.number, pr.repository)
+        ]);
+      } catch (error) {
+        if (!error.notFound) throw error;
+        console.warn(`PR #${pr.number} of ${pr.repository} no longer exists, skipping it:`, error);
+        return null;
+      }
+
+      // Only cache complete data; missing threads would hide resolution status on later runs
+      if (this.cache && threads !== null) {
+        await this.cache.put(pr.repository, pr.number, pr.updated_at, comments, threads);
+      }
+    }
+
+    try {
+      return this.buildPullRequestRecord(pr, comments, threads || []);
     } catch (error) {
-      throw error;
+      console.error(`Error processing PR #${pr.number}:`, error);
+      return null;
+    }
+  }
+
+  // Turns a PR's review bot comments and review threads into its analysis record
+  buildPullRequestRecord(pr, comments, threads) {
+    if (comments.length === 0) return null;
+
+    const actionableIssues = [];
+
+    for (const comment of comments) {
+      for (const issue of this.parseActionableIssues(comment)) {
+        issue.url = comment.html_url;
+        issue.timestamp = comment.created_at;
+
+        // Findings bundled in a review summary have no thread of their own to check
+        if (issue.category !== 'inline') {
+          actionableIssues.push(issue);
+          continue;
+        }
+
+        // Check for acceptance using multiple methods
+        // Method 1: GraphQL thread resolution
+        const matchingThread = threads.find(thread =>
+          thread.comments.nodes.some(threadComment =>
+            threadComment.url === comment.html_url ||
+            threadComment.databaseId === comment.id
+          )
+        );
+
+        const isResolvedViaGraphQL = matchingThread && matchingThread.isResolved;
+
+        // Method 2: Comment body parsing for "Addressed in commit" patterns
+        // Check BOTH the original comment AND all thread replies
+        // (CodeRabbit may edit the original comment OR post a reply)
+        let isAddressedInBody = false;
+
+        // First, always check the original comment body (might have been edited)
+        isAddressedInBody = this.detectAddressedInComment(comment.body);
+
+        // Also check all replies in the thread if there is one
+        if (!isAddressedInBody && matchingThread) {
+          isAddressedInBody = matchingThread.comments.nodes.some(threadComment =>
+            this.detectAddressedInComment(threadComment.body)
+          );
+        }
+
+        // Mark as accepted if either method detects it
+        if (isResolvedViaGraphQL || isAddressedInBody) {
+          issue.accepted = true;
+          // Prioritize body-parsing if it detects "Addressed in commit" text
+          // (so the "(auto detect)" label shows to the user)
+          issue.acceptanceMethod = isAddressedInBody ? 'body-parsing' : 'graphql';
+        }
+
+        issue.outcome = this.classifyOutcome(issue, matchingThread);
+        if (matchingThread) this.issueThreads.set(issue, matchingThread);
+        Object.assign(issue, this.getThreadTiming(pr, comment, matchingThread));
+        actionableIssues.push(issue);
+      }
     }
+
+    if (actionableIssues.length === 0) return null;
+
+    return {
+      number: pr.number,
+      repository: pr.repository,
+      title: pr.title,
+      url: pr.html_url,
+      state: pr.state,
+      merged: pr.merged_at !== null,
+      mergedAt: pr.merged_at,
+      closedAt: pr.closed_at,
+      author: pr.user.login,
+      createdAt: pr.created_at,
+      actionableIssues
+    };
+  }
+
+  // Compares each suggested change with the file as of the PR's last commit and records
+  // issue.verification ('applied', 'modified' or 'not-applied'). Applied and modified suggestions
+  // count as accepted; a resolved thread whose suggestion never landed no longer does.
+  async verifySuggestions(record) {
+    const issues = record.actionableIssues.filter(issue => issue.suggestion && issue.path);
+    if (issues.length === 0) return;
+
+    try {
+      const pr = await this.fetchWithRetry(`${this.apiBaseUrl}/repos/${record.repository}/pulls/${record.number}`);
+      const headSha = pr.head.sha;
+
+      for (const issue of issues) {
+        const content = await this.fetchFileContent(record.repository, headSha, issue.path);
+        // Files the PR deleted leave nothing to compare
+        if (content === null) continue;
+
+        const verification = classifySuggestion(content, getSuggestionChanges(issue));
+        if (!verification) continue;
+
+        issue.verification = verification;
+        if (verification === 'applied' || verification === 'modified') {
+          issue.accepted = true;
+          issue.acceptanceMethod = verification === 'applied' ? 'suggestion-applied' : 'suggestion-modified';
+          issue.outcome = 'accepted';
+        } else if (issue.acceptanceMethod === 'graphql') {
+          // Resolved without the code changing; an "Addressed in commit" reply still counts
+          issue.accepted = false;
+          issue.acceptanceMethod = null;
+          issue.outcome = this.classifyOutcome(issue, this.issueThreads.get(issue));
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' || error.rateLimited) throw error;
+      // Unverified issues keep the acceptance detected from threads and replies
+      console.error(`Error verifying suggestions of PR #${record.number}:`, error);
+    }
+  }
+
+  // Returns a file's text at a commit, or null if it doesn't exist there (or is too large for the contents API)
+  fetchFileContent(repository, sha, path) {
+    const key = `${repository}@${sha}:${path}`;
+
+    if (!this.fileContents.has(key)) {
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+      const url = `${this.apiBaseUrl}/repos/${repository}/contents/${encodedPath}?ref=${sha}`;
+
+      this.fileContents.set(key, this.fetchWithRetry(url).then(
+        file => {
+          if (file.encoding !== 'base64') return null;
+          const bytes = Uint8Array.from(atob(file.content.replace(/\n/g, '')), char => char.charCodeAt(0));
+          return new TextDecoder().decode(bytes);
+        },
+        error => {
+          if (error.notFound) return null;
+          // Let a later issue retry the fetch
+          this.fileContents.delete(key);
+          throw error;
+        }
+      ));
+    }
+
+    return this.fileContents.get(key);
+  }
+
+  // 'merged', 'unmerged' (closed without merging) or 'open'
+  static getPROutcome(pr) {
+    if (pr.merged_at) return 'merged';
+    return pr.state === 'open' ? 'open' : 'unmerged';
+  }
+
+  // cancelled marks partial results of a run that was stopped before it finished
+  buildResults(state, cancelled = false) {
+    const prsWithIssues = state.pullRequests;
+    const totalActionableIssues = prsWithIssues.reduce((sum, pr) => sum + pr.actionableIssues.length, 0);
+    const truncatedRanges = state.truncatedRanges;
+
+    return {
+      repository: this.repos.length > 0 ? `${this.owner}/${this.repos.join(',')}` : this.owner,
+      isOrgWide: this.repos.length === 0,
+      // Several selected repos; like org-wide results, PRs are told apart by their repo
+      isMultiRepo: this.repos.length > 1,
+      cancelled,
+      scope: this.scope,
+      dateRange: {
+        start: this.startDate.toISOString().split('T')[0],
+        end: this.endDate.toISOString().split('T')[0]
+      },
+      summary: {
+        totalPRs: state.totalPRs,
+        mergedPRs: state.prStateCounts.merged,
+        unmergedPRs: state.prStateCounts.unmerged,
+        openPRs: state.prStateCounts.open,
+        totalPRsWithActionableIssues: prsWithIssues.length,
+        totalActionableIssues: totalActionableIssues,
+        avgIssuesPerPR: prsWithIssues.length > 0
+          ? (totalActionableIssues / prsWithIssues.length).toFixed(1)
+          : '0',
+        // Set when some single-minute windows still held more than 1,000 PRs
+        truncated: truncatedRanges.length > 0,
+        missingPRs: truncatedRanges.reduce((sum, range) => sum + (range.totalCount - SEARCH_RESULT_CAP), 0),
+        truncatedRanges,
+        // Outcome counts of the suggestions compared with the PR's code (null when verification was off)
+        suggestionVerification: this.verifySuggestionsEnabled
+          ? this.summarizeVerification(prsWithIssues)
+          : null
+      },
+      repositories: this.summarizeRepositories(state.repoPRCounts, prsWithIssues),
+      bots: this.summarizeBots(prsWithIssues),
+      authors: this.summarizeAuthors(state.authorPRCounts, prsWithIssues),
+      timing: this.summarizeTiming(prsWithIssues),
+      prCountsByDay: state.prCountsByDay,
+      pullRequests: prsWithIssues
+    };
+  }
+
+  // Per-repository summary stats (one entry per repo that had PRs in the range, and one per
+  // selected repo of a multi-repo analysis even without PRs, so every column of the comparison shows up)
+  summarizeRepositories(repoPRCounts, prsWithIssues) {
+    const stats = {};
+    const counts = { ...repoPRCounts };
+    if (this.repos.length > 1) {
+      this.repos.forEach(repo => {
+        const repository = `${this.owner}/${repo}`;
+        // Search matches repo names case-insensitively, so look for the name GitHub reported
+        const reported = Object.keys(counts).find(name => name.toLowerCase() === repository.toLowerCase());
+        if (!reported) counts[repository] = 0;
+      });
+    }
+
+    Object.entries(counts).forEach(([repository, totalPRs]) => {
+      stats[repository] = {
+        name: repository,
+        totalPRs,
+        totalPRsWithActionableIssues: 0,
+        totalActionableIssues: 0,
+        acceptedIssues: 0,
+        priorities: {}
+      };
+    });
+
+    prsWithIssues.forEach(pr => {
+      const repoStats = stats[pr.repository];
+      repoStats.totalPRsWithActionableIssues++;
+      repoStats.totalActionableIssues += pr.actionableIssues.length;
+      pr.actionableIssues.forEach(issue => {
+        if (issue.accepted) repoStats.acceptedIssues++;
+        const priority = issue.priority || 'Unknown';
+        repoStats.priorities[priority] = (repoStats.priorities[priority] || 0) + 1;
+      });
+    });
+
+    return Object.values(stats)
+      .map(repoStats => ({
+        ...repoStats,
+        avgIssuesPerPR: repoStats.totalPRsWithActionableIssues > 0
+          ? (repoStats.totalActionableIssues / repoStats.totalPRsWithActionableIssues).toFixed(1)
+          : '0',
+        // Per analyzed PR, including PRs without comments
+        issuesPerPR: repoStats.totalPRs > 0
+          ? (repoStats.totalActionableIssues / repoStats.totalPRs).toFixed(1)
+          : '0',
+        acceptanceRate: repoStats.totalActionableIssues > 0
+          ? Math.round((repoStats.acceptedIssues / repoStats.totalActionableIssues) * 100)
+          : 0
+      }))
+      .sort((a, b) => b.totalActionableIssues - a.totalActionableIssues);
+  }
+
+  // Per-author stats, sorted by login so the list doesn't read as a ranking
+  summarizeAuthors(authorPRCounts, prsWithIssues) {
+    const stats = {};
+
+    Object.entries(authorPRCounts).forEach(([login, totalPRs]) => {
+      stats[login] = {
+        login,
+        totalPRs,
+        totalPRsWithActionableIssues: 0,
+        totalActionableIssues: 0,
+        acceptedIssues: 0,
+        priorities: {}
+      };
+    });
+
+    prsWithIssues.forEach(pr => {
+      const authorStats = stats[pr.author];
+      if (!authorStats) return;
+      authorStats.totalPRsWithActionableIssues++;
+      pr.actionableIssues.forEach(issue => {
+        authorStats.totalActionableIssues++;
+        if (issue.accepted) authorStats.acceptedIssues++;
+        const priority = issue.priority || 'Unknown';
+        authorStats.priorities[priority] = (authorStats.priorities[priority] || 0) + 1;
+      });
+    });
+
+    return Object.values(stats)
+      .map(authorStats => ({
+        ...authorStats,
+        issuesPerPR: (authorStats.totalActionableIssues / authorStats.totalPRs).toFixed(1),
+        acceptanceRate: authorStats.totalActionableIssues > 0
+          ? Math.round((authorStats.acceptedIssues / authorStats.totalActionableIssues) * 100)
+          : 0
+      }))
+      .sort((a, b) => a.login.localeCompare(b.login));
+  }
+
+  // Applied / modified / not applied counts of the suggestions compared with the PR's code
+  summarizeVerification(prsWithIssues) {
+    const counts = { applied: 0, modified: 0, notApplied: 0 };
+    prsWithIssues.forEach(pr => {
+      pr.actionableIssues.forEach(issue => {
+        if (issue.verification === 'applied') counts.applied++;
+        if (issue.verification === 'modified') counts.modified++;
+        if (issue.verification === 'not-applied') counts.notApplied++;
+      });
+    });
+    return counts;
+  }
+
+  // Per-bot stats for comparing review bots (one entry per configured bot, even without comments)
+  summarizeBots(prsWithIssues) {
+    const stats = {};
+
+    this.reviewBots.forEach(bot => {
+      stats[bot.login] = {
+        login: bot.login,
+        name: bot.name,
+        totalPRsWithActionableIssues: 0,
+        totalActionableIssues: 0,
+        acceptedIssues: 0
+      };
+    });
+
+    prsWithIssues.forEach(pr => {
+      const botsOnPR = new Set();
+      pr.actionableIssues.forEach(issue => {
+        const botStats = stats[issue.bot];
+        if (!botStats) return;
+        botStats.totalActionableIssues++;
+        if (issue.accepted) botStats.acceptedIssues++;
+        botsOnPR.add(issue.bot);
+      });
+      botsOnPR.forEach(login => stats[login].totalPRsWithActionableIssues++);
+    });
+
+    return Object.values(stats).map(botStats => ({
+      ...botStats,
+      acceptanceRate: botStats.totalActionableIssues > 0
+        ? Math.round((botStats.acceptedIssues / botStats.totalActionableIssues) * 100)
+        : 0
+    }));
+  }
+
+  // Checkpoints are keyed by everything that defines an analysis, so changing any input starts fresh.
+  // settings is { apiBaseUrl, fetchStrategy, verifySuggestions, reviewBots }: a run against another
+  // server, one fetching or verifying differently, or one parsing other bots' comments must not be
+  // merged into the saved results.
+  static getCheckpointKey(owner, repo, startDateStr, endDateStr, qualifiers = '', settings = {}) {
+    const host = new URL(settings.apiBaseUrl || GITHUB_API_URL).host;
+    const fetching = `${settings.fetchStrategy || 'rest'}${settings.verifySuggestions ? '+verify' : ''}`;
+    const bots = (settings.reviewBots || window.DEFAULT_REVIEW_BOTS)
+      .map(bot => `${bot.login}:${bot.parser}`)
+      .sort()
+      .join(',');
+    return `${host}|${owner}/${repo || '*'}|${startDateStr}..${endDateStr}|${qualifiers}|${fetching}|${bots}`;
+  }
+
+  // Loads the saved checkpoint of an interrupted analysis (only the latest one is kept), or null
+  // if there is none or it was saved in an older format
+  static loadCheckpoint() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CHECKPOINT_STORAGE_KEY], (result) => {
+        const checkpoint = result[CHECKPOINT_STORAGE_KEY];
+        resolve(checkpoint && checkpoint.format === CHECKPOINT_FORMAT ? checkpoint : null);
+      });
+    });
+  }
+
+  static saveCheckpoint(state) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [CHECKPOINT_STORAGE_KEY]: { ...state, savedAt: new Date().toISOString() } }, resolve);
+    });
+  }
+
+  static clearCheckpoint() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(CHECKPOINT_STORAGE_KEY, resolve);
+    });
   }
 }
 
@@ -0,0 +1,187 @@
+// File and directory hotspot view: a collapsible tree of the files review comments point at,
+// with issue counts, priority mix and acceptance rate per folder and file
+
+import { escapeHtml } from './filter-utils.js';
+
+// Priorities shown in the mix bar, most severe first (anything else is counted as "Other")
+const HOTSPOT_PRIORITIES = ['Critical', 'Major', 'Minor', 'Trivial'];
+
+const HOTSPOT_SORTS = {
+  count: (a, b) => b.issueCount - a.issueCount || a.name.localeCompare(b.name),
+  severe: (a, b) => getSevereCount(b) - getSevereCount(a) || b.issueCount - a.issueCount,
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+function createNode(name, path, isFile = false) {
+  return {
+    name,
+    path,
+    isFile,
+    children: new Map(),
+    issueCount: 0,
+    acceptedCount: 0,
+    priorities: {}
+  };
+}
+
+function getSevereCount(node) {
+  return (node.priorities.Critical || 0) + (node.priorities.Major || 0);
+}
+
+/**
+ * Builds a directory tree from the file paths of all actionable issues.
+ * Org-wide and multi-repo results get one top-level folder per repository.
+ * @param {Object} data - The PR analysis data
+ * @returns {Object} Root node ({ name, path, isFile, children, issueCount, acceptedCount, priorities })
+ */
+export function buildHotspotTree(data) {
+  const root = createNode('', '');
+
+  data.pullRequests.forEach(pr => {
+    pr.actionableIssues.forEach(issue => {
+      if (!issue.path) return;
+
+      const segments = issue.path.split('/');
+      if (data.isOrgWide || data.isMultiRepo) {
+        segments.unshift(pr.repository.split('/')[1] || pr.repository);
+      }
+
+      // Count the issue on every folder along its path, down to the file
+      let node = root;
+      const nodes = [root];
+      segments.forEach((segment, index) => {
+        if (!node.children.has(segment)) {
+          const path = node.path ? `${node.path}/${segment}` : segment;
+          node.children.set(segment, createNode(segment, path, index === segments.length - 1));
+        }
+        node = node.children.get(segment);
+        nodes.push(node);
+      });
+
+      const priority = HOTSPOT_PRIORITIES.includes(issue.priority) ? issue.priority : 'Other';
+      nodes.forEach(pathNode => {
+        pathNode.issueCount++;
+        if (issue.accepted) pathNode.acceptedCount++;
+        pathNode.priorities[priority] = (pathNode.priorities[priority] || 0) + 1;
+      });
+    });
+  });
+
+  return compactTree(root);
+}
+
+// Merges folders that only contain a single folder ("src" > "lib" becomes "src/lib")
+function compactTree(node) {
+  node.children.forEach((child, key) => {
+    let compacted = child;
+    while (!compacted.isFile && compacted.children.size === 1) {
+      const [onlyChild] = compacted.children.values();
+      if (onlyChild.isFile) break;
+      onlyChild.name = `${compacted.name}/${onlyChild.name}`;
+      compacted = onlyChild;
+    }
+    node.children.set(key, compactTree(compacted));
+  });
+  return node;
+}
+
+/**
+ * Displays the hotspot tree
+ * @param {string} elementId - ID of the container element
+ * @param {Object} root - Root node from buildHotspotTree
+ * @param {string} sortBy - 'count', 'severe' (Critical + Major first) or 'name'
+ */
+export function displayHotspots(elementId, root, sortBy = 'count') {
+  const container = document.getElementById(elementId);
+  container.innerHTML = '';
+
+  if (root.children.size === 0) {
+    container.innerHTML = '<div class="empty-state">No comments with file locations</div>';
+    return;
+  }
+
+  // Top-level folders start expanded
+  container.appendChild(renderChildren(root, sortBy, 0, true));
+}
+
+function renderChildren(node, sortBy, depth, expanded) {
+  const list = document.createElement('div');
+  list.className = 'hotspot-children';
+  list.style.display = expanded ? 'block' : 'none';
+
+  [...node.children.values()]
+    .sort(HOTSPOT_SORTS[sortBy] || HOTSPOT_SORTS.count)
+    .forEach(child => list.appendChild(renderNode(child, sortBy, depth)));
+
+  return list;
+}
+
+function renderNode(node, sortBy, depth) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'hotspot-node';
+
+  const row = document.createElement('div');
+  row.className = `hotspot-row${node.isFile ? ' hotspot-file' : ''}`;
+  row.style.paddingLeft = `${depth * 14}px`;
+  row.title = node.path;
+
+  const acceptanceRate = Math.round((node.acceptedCount / node.issueCount) * 100);
+  const expandIcon = node.isFile ? '' : (depth === 0 ? '▼' : '▶');
+
+  row.innerHTML = `
+    <span class="hotspot-toggle">${expandIcon}</span>
+    <span class="hotspot-name">${node.isFile ? '📄' : '📁'} ${escapeHtml(node.name)}</span>
+    <span class="hotspot-count">${node.issueCount}</span>
+    ${renderPriorityMix(node.priorities, node.issueCount)}
+    <span class="hotspot-acceptance" title="${node.acceptedCount} of ${node.issueCount} accepted">${acceptanceRate}%</span>
+  `;
+  wrapper.appendChild(row);
+
+  if (!node.isFile) {
+    // Children render lazily on first expand, so huge trees stay cheap
+    let children = null;
+    const toggle = () => {
+      if (!children) {
+        children = renderChildren(node, sortBy, depth + 1, false);
+        wrapper.appendChild(children);
+      }
+      const isExpanded = children.style.display === 'block';
+      children.style.display = isExpanded ? 'none' : 'block';
+      row.querySelector('.hotspot-toggle').textContent = isExpanded ? '▶' : '▼';
+    };
+
+    row.classList.add('hotspot-folder');
+    row.addEventListener('click', toggle);
+
+    if (depth === 0) {
+      toggle();
+    }
+  }
+
+  return wrapper;
+}
+
+/**
+ * Renders a stacked bar with one segment per priority, sized by its share of the issues.
+ * Priorities outside Critical/Major/Minor/Trivial are shown as "Other".
+ * @param {Object} priorities - Priority -> issue count
+ * @param {number} total - Number of issues
+ * @returns {string} HTML of the bar
+ */
+export function renderPriorityMix(priorities, total) {
+  const counts = {};
+  HOTSPOT_PRIORITIES.forEach(priority => {
+    counts[priority] = priorities[priority] || 0;
+  });
+  counts.Other = total - HOTSPOT_PRIORITIES.reduce((sum, priority) => sum + counts[priority], 0);
+
+  const segments = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([priority, count]) => {
+      const width = (count / total) * 100;
+      return `<span class="hotspot-mix-segment hotspot-mix-${priority.toLowerCase()}" style="width: ${width}%" title="${priority}: ${count}"></span>`;
+    })
+    .join('');
+
+  return `<span class="hotspot-mix">${segments}</span>`;
+}
@@ -0,0 +1,96 @@
+// Extracts where an actionable comment points and what it proposes: file path, line range,
+// language, diff hunk and any suggested change. Used by GitHubAPI.parseActionableIssues.
+
+// File extension -> language, for grouping issues by language
+const LANGUAGE_BY_EXTENSION = {
+  js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript',
+  ts: 'TypeScript', tsx: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript',
+  py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', kts: 'Kotlin',
+  scala: 'Scala', swift: 'Swift', m: 'Objective-C', mm: 'Objective-C',
+  c: 'C', h: 'C', cc: 'C++', cpp: 'C++', cxx: 'C++', hpp: 'C++', cs: 'C#',
+  php: 'PHP', dart: 'Dart', ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', clj: 'Clojure',
+  lua: 'Lua', r: 'R', sql: 'SQL', sh: 'Shell', bash: 'Shell', zsh: 'Shell', ps1: 'PowerShell',
+  vue: 'Vue', svelte: 'Svelte', html: 'HTML', css: 'CSS', scss: 'SCSS', less: 'Less',
+  json: 'JSON', yml: 'YAML', yaml: 'YAML', toml: 'TOML', xml: 'XML', md: 'Markdown', mdx: 'Markdown',
+  tf: 'Terraform', graphql: 'GraphQL', proto: 'Protocol Buffers'
+};
+
+// Files recognized by name rather than extension
+const LANGUAGE_BY_FILENAME = {
+  Dockerfile: 'Dockerfile',
+  Makefile: 'Makefile',
+  Gemfile: 'Ruby',
+  Rakefile: 'Ruby'
+};
+
+function detectLanguage(path) {
+  if (!path) return null;
+
+  const fileName = path.split('/').pop();
+  if (LANGUAGE_BY_FILENAME[fileName]) {
+    return LANGUAGE_BY_FILENAME[fileName];
+  }
+
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  return LANGUAGE_BY_EXTENSION[extension] || null;
+}
+
+// Returns { path, startLine, endLine, language, diffHunk } of an inline review comment
+// (all null for review bodies and PR conversation comments). Outdated comments no longer
+// have a current line, so their original position is used instead.
+function getCommentLocation(comment) {
+  const endLine = comment.line ?? comment.original_line ?? null;
+  const startLine = comment.start_line ?? comment.original_start_line ?? endLine;
+
+  return {
+    path: comment.path || null,
+    startLine,
+    endLine,
+    language: detectLanguage(comment.path),
+    diffHunk: comment.diff_hunk || null
+  };
+}
+
+// Finds the first ```suggestion block (GitHub's committable suggestion) or ```diff block in a body.
+// Returns { format: 'suggestion'|'diff', code, addedLines, removedLines }, or null if there is none.
+// A suggestion replaces the commented line range, so removedLines is the size of that range.
+function extractSuggestion(body, location = {}) {
+  if (!body) return null;
+
+  const suggestionMatch = body.match(/```suggestion[^\n]*\n([\s\S]*?)```/);
+  if (suggestionMatch) {
+    const code = suggestionMatch[1].replace(/\n$/, '');
+    const rangeSize = location.startLine && location.endLine
+      ? location.endLine - location.startLine + 1
+      : null;
+
+    return {
+      format: 'suggestion',
+      code,
+      addedLines: code === '' ? 0 : code.split('\n').length,
+      removedLines: rangeSize
+    };
+  }
+
+  const diffMatch = body.match(/```diff[^\n]*\n([\s\S]*?)```/);
+  if (diffMatch) {
+    const code = diffMatch[1].replace(/\n$/, '');
+    const lines = code.split('\n');
+
+    return {
+      format: 'diff',
+      code,
+      addedLines: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+      removedLines: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length
+    };
+  }
+
+  return null;
+}
+
+// Export for use in github-api.js
+if (typeof window !== 'undefined') {
+  window.detectLanguage = detectLanguage;
+  window.getCommentLocation = getCommentLocation;
+  window.extractSuggestion = extractSuggestion;
+}
@@ -0,0 +1,339 @@
+// Options page script: manage named GitHub tokens
+
+import { escapeHtml } from './filter-utils.js';
+import {
+  loadTokenProfiles,
+  saveTokenProfiles,
+  maskToken,
+  validateToken,
+  getProfileEndpoints,
+  deriveEnterpriseEndpoints,
+  requestHostPermissions
+} from './token-store.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('addTokenBtn').addEventListener('click', handleAddToken);
+  document.getElementById('tokenHost').addEventListener('change', (event) => {
+    document.getElementById('enterpriseFields').style.display = event.target.value === 'enterprise' ? 'block' : 'none';
+  });
+  document.getElementById('enterpriseWebUrl').addEventListener('input', handleEnterpriseUrlInput);
+  document.getElementById('addBotBtn').addEventListener('click', handleAddBot);
+  renderTokenList();
+
+  // Parsers register themselves from parsers/*.js (loaded before this module)
+  document.getElementById('botParser').innerHTML = renderParserOptions('generic');
+  renderBotList();
+});
+
+function showError(message) {
+  const errorDiv = document.getElementById('errorMessage');
+  errorDiv.textContent = message;
+  errorDiv.style.display = 'block';
+
+  setTimeout(() => {
+    errorDiv.style.display = 'none';
+  }, 5000);
+}
+
+function setLoading(isLoading) {
+  const btn = document.getElementById('addTokenBtn');
+  btn.disabled = isLoading;
+  btn.querySelector('.btn-text').style.display = isLoading ? 'none' : 'inline';
+  btn.querySelector('.btn-loader').style.display = isLoading ? 'inline' : 'none';
+}
+
+// Suggest the standard /api/v3 and /api/graphql URLs from the server URL
+function handleEnterpriseUrlInput(event) {
+  const serverUrl = event.target.value.trim();
+  if (!serverUrl) return;
+
+  const { apiUrl, graphqlUrl } = deriveEnterpriseEndpoints(serverUrl);
+  document.getElementById('enterpriseApiUrl').value = apiUrl;
+  document.getElementById('enterpriseGraphqlUrl').value = graphqlUrl;
+}
+
+/**
+ * Reads the Enterprise Server endpoints from the form
+ * @returns {Object|null} { apiUrl, graphqlUrl, webUrl }, or null for GitHub.com
+ * @throws {Error} If a URL is missing or invalid
+ */
+function readEndpoints() {
+  if (document.getElementById('tokenHost').value !== 'enterprise') {
+    return null;
+  }
+
+  const endpoints = {
+    webUrl: document.getElementById('enterpriseWebUrl').value.trim().replace(/\/+$/, ''),
+    apiUrl: document.getElementById('enterpriseApiUrl').value.trim().replace(/\/+$/, ''),
+    graphqlUrl: document.getElementById('enterpriseGraphqlUrl').value.trim().replace(/\/+$/, '')
+  };
+
+  Object.values(endpoints).forEach(url => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Please enter the server, REST API and GraphQL API URLs');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error(`Enterprise Server URLs must use https: ${url}`);
+    }
+  });
+
+  return endpoints;
+}
+
+async function handleAddToken() {
+  const name = document.getElementById('tokenName').value.trim();
+  const token = document.getElementById('tokenValue').value.trim();
+
+  if (!name || !token) {
+    showError('Please enter both a name and a token');
+    return;
+  }
+
+  let endpoints;
+  try {
+    endpoints = readEndpoints();
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+
+  // The permission prompt needs the click's user gesture, so ask before anything else is awaited
+  if (endpoints && !(await requestHostPermissions(endpoints))) {
+    showError('Access to the Enterprise Server was not granted');
+    return;
+  }
+
+  const { profiles, activeProfileId } = await loadTokenProfiles();
+  if (profiles.some(profile => profile.name === name)) {
+    showError(`A token named "${name}" already exists`);
+    return;
+  }
+
+  setLoading(true);
+
+  try {
+    const validation = await validateToken(token, getProfileEndpoints({ endpoints }).apiUrl);
+    if (!validation.valid) {
+      showError(validation.error);
+      return;
+    }
+
+    const profile = {
+      id: crypto.randomUUID(),
+      name,
+      token,
+      // null for GitHub.com, otherwise the Enterprise Server's { apiUrl, graphqlUrl, webUrl }
+      endpoints,
+      addedAt: new Date().toISOString(),
+      validation
+    };
+
+    // The first token becomes the active one
+    await saveTokenProfiles([...profiles, profile], activeProfileId || profile.id);
+
+    document.getElementById('tokenName').value = '';
+    document.getElementById('tokenValue').value = '';
+    renderTokenList();
+  } catch (error) {
+    console.error('Error validating token:', error);
+    showError('Could not reach GitHub to validate the token');
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function handleValidate(profileId) {
+  const { profiles, activeProfileId } = await loadTokenProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return;
+
+  try {
+    profile.validation = await validateToken(profile.token, getProfileEndpoints(profile).apiUrl);
+    await saveTokenProfiles(profiles, activeProfileId);
+    renderTokenList();
+  } catch (error) {
+    console.error('Error validating token:', error);
+    showError('Could not reach GitHub to validate the token');
+  }
+}
+
+async function handleRemove(profileId) {
+  const { profiles, activeProfileId } = await loadTokenProfiles();
+  const remaining = profiles.filter(profile => profile.id !== profileId);
+
+  // Removing the active token falls back to the first remaining one
+  const nextActiveId = activeProfileId === profileId
+    ? (remaining[0]?.id || null)
+    : activeProfileId;
+
+  await saveTokenProfiles(remaining, nextActiveId);
+  renderTokenList();
+}
+
+async function handleSelect(profileId) {
+  const { profiles } = await loadTokenProfiles();
+  await saveTokenProfiles(profiles, profileId);
+  renderTokenList();
+}
+
+/**
+ * Describes when a token expires, e.g. "Expires 2025-01-31 (in 12 days)"
+ * @param {string|null} expiresAt - ISO expiry date, null for tokens without expiry
+ * @returns {Object} { text, warning }
+ */
+function describeExpiry(expiresAt) {
+  if (!expiresAt) {
+    return { text: 'No expiration', warning: false };
+  }
+
+  const daysLeft = Math.ceil((new Date(expiresAt) - Date.now()) / (1000 * 60 * 60 * 24));
+  const dateStr = expiresAt.split('T')[0];
+
+  if (daysLeft <= 0) {
+    return { text: `Expired on ${dateStr}`, warning: true };
+  }
+  return { text: `Expires ${dateStr} (in ${daysLeft} days)`, warning: daysLeft <= 7 };
+}
+
+async function renderTokenList() {
+  const { profiles, activeProfileId } = await loadTokenProfiles();
+  const container = document.getElementById('tokenList');
+  container.innerHTML = '';
+
+  if (profiles.length === 0) {
+    container.innerHTML = '<div class="empty-state">No tokens saved yet. Requests are limited to 60/hour without one.</div>';
+    return;
+  }
+
+  profiles.forEach(profile => {
+    const validation = profile.validation || {};
+    const expiry = describeExpiry(validation.expiresAt);
+
+    let scopesText;
+    if (validation.scopes === null) {
+      scopesText = 'Fine-grained token';
+    } else if (validation.scopes && validation.scopes.length > 0) {
+      scopesText = `Scopes: ${validation.scopes.join(', ')}`;
+    } else {
+      scopesText = 'No scopes (public data only)';
+    }
+
+    const rateLimit = validation.rateLimit;
+    const rateLimitText = rateLimit
+      ? `REST ${rateLimit.core.remaining.toLocaleString()}/${rateLimit.core.limit.toLocaleString()}` +
+        (rateLimit.graphql ? ` · GraphQL ${rateLimit.graphql.remaining.toLocaleString()}/${rateLimit.graphql.limit.toLocaleString()}` : '')
+      : '';
+
+    const host = profile.endpoints ? new URL(profile.endpoints.webUrl).host : null;
+
+    const card = document.createElement('div');
+    card.className = `token-card${profile.id === activeProfileId ? ' active' : ''}`;
+    card.innerHTML = `
+      <div class="token-card-header">
+        <label class="token-card-name">
+          <input type="radio" name="activeToken" ${profile.id === activeProfileId ? 'checked' : ''} />
+          ${escapeHtml(profile.name)}
+          ${validation.login ? `<span class="token-card-login">@${escapeHtml(validation.login)}</span>` : ''}
+        </label>
+        <button class="token-card-btn" data-action="validate" type="button">Validate</button>
+        <button class="token-card-btn token-card-remove" data-action="remove" type="button">Remove</button>
+      </div>
+      <div class="token-card-details">
+        <span>${escapeHtml(maskToken(profile.token))}</span>
+        ${host ? `<span class="token-card-host">🏢 ${escapeHtml(host)}</span>` : ''}
+        ${validation.valid === false
+          ? `<span class="token-card-warning">${escapeHtml(validation.error)}</span>`
+          : `<span>${escapeHtml(scopesText)}</span>
+             <span class="${expiry.warning ? 'token-card-warning' : ''}">${escapeHtml(expiry.text)}</span>
+             ${rateLimitText ? `<span>${escapeHtml(rateLimitText)}</span>` : ''}`}
+      </div>
+      ${validation.checkedAt
+        ? `<div class="token-card-checked">Last checked ${new Date(validation.checkedAt).toLocaleString()}</div>`
+        : ''}
+    `;
+
+    card.querySelector('input[type="radio"]').addEventListener('change', () => handleSelect(profile.id));
+    card.querySelector('[data-action="validate"]').addEventListener('click', () => handleValidate(profile.id));
+    card.querySelector('[data-action="remove"]').addEventListener('click', () => handleRemove(profile.id));
+
+    container.appendChild(card);
+  });
+}
+
+function renderParserOptions(selectedId) {
+  return listCommentParsers()
+    .map(({ id, name }) => `<option value="${escapeHtml(id)}" ${id === selectedId ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+}
+
+async function handleAddBot() {
+  const login = document.getElementById('botLogin').value.trim();
+  const name = document.getElementById('botName').value.trim() || login.replace(/\[bot\]$/, '');
+  const parser = document.getElementById('botParser').value;
+
+  if (!login) {
+    showError('Please enter the bot\'s GitHub login');
+    return;
+  }
+
+  const bots = await loadReviewBots();
+  if (bots.some(bot => bot.login === login)) {
+    showError(`${login} is already configured`);
+    return;
+  }
+
+  await saveReviewBots([...bots, { login, name, parser }]);
+
+  document.getElementById('botLogin').value = '';
+  document.getElementById('botName').value = '';
+  renderBotList();
+}
+
+async function handleBotParserChange(login, parser) {
+  const bots = await loadReviewBots();
+  await saveReviewBots(bots.map(bot => (bot.login === login ? { ...bot, parser } : bot)));
+}
+
+async function handleRemoveBot(login) {
+  const bots = await loadReviewBots();
+  const remaining = bots.filter(bot => bot.login !== login);
+
+  if (remaining.length === 0) {
+    showError('At least one review bot is needed');
+    return;
+  }
+
+  await saveReviewBots(remaining);
+  renderBotList();
+}
+
+async function renderBotList() {
+  const bots = await loadReviewBots();
+  const container = document.getElementById('botList');
+  container.innerHTML = '';
+
+  bots.forEach(bot => {
+    const card = document.createElement('div');
+    card.className = 'token-card';
+    card.innerHTML = `
+      <div class="token-card-header">
+        <span class="token-card-name">
+          ${escapeHtml(bot.name)}
+          <span class="token-card-login">${escapeHtml(bot.login)}</span>
+        </span>
+        <select class="bot-parser-select">${renderParserOptions(bot.parser)}</select>
+        <button class="token-card-btn token-card-remove" type="button">Remove</button>
+      </div>
+    `;
+
+    card.querySelector('.bot-parser-select').addEventListener('change', (event) => {
+      handleBotParserChange(bot.login, event.target.value);
+    });
+    card.querySelector('.token-card-remove').addEventListener('click', () => handleRemoveBot(bot.login));
+
+    container.appendChild(card);
+  });
+}
@@ -0,0 +1,176 @@
+// Parser for CodeRabbit review comments.
+// Actionable comments start with markers like "_⚠️ Potential issue_ | _🟠 Major_",
+// followed by a bold title and a description.
+
+// Text of the collapsible "🤖 Prompt for AI Agents" section, without its code fence
+function extractCodeRabbitAIPrompt(body) {
+  const match = body.match(/<summary>🤖 Prompt for AI Agents<\/summary>\s*([\s\S]*?)<\/details>/u);
+  if (!match) return null;
+
+  const prompt = match[1].trim().replace(/^```[^\n]*\n/, '').replace(/\n?```$/, '').trim();
+  return prompt || null;
+}
+
+function parseCodeRabbitComment(body) {
+  if (!body) return null;
+
+  // Extract severity and priority from markers
+  // Patterns like: "_⚠️ Potential issue_ | _🟠 Major_"
+  // (the u flag keeps the priority emoji whole instead of matching half of its surrogate pair)
+  const severityMatch = body.match(/_(⚠️|🧹|💡|🔍)\s*([^_]+)_\s*\|\s*_([🔵🟠🟡🔴🟣])\s*([^_]+)_/u);
+
+  if (!severityMatch) {
+    return null;
+  }
+
+  const severity = severityMatch[2].trim();
+  const priority = severityMatch[4].trim();
+
+  let title = '';
+  let description = '';
+
+  // Try multiple patterns for extracting title and description
+
+  // Pattern 1: Title after </details> with bold formatting
+  const issueMatch = body.match(/<\/details>\s*\n\s*\*\*([^*]+)\*\*/);
+  if (issueMatch) {
+    title = issueMatch[1].trim();
+    const afterTitle = body.substring(body.indexOf(issueMatch[0]) + issueMatch[0].length);
+    const descMatch = afterTitle.match(/^([\s\S]*?)(?:<details>|<!--)/);
+    if (descMatch) {
+      description = descMatch[1].trim().replace(/\n{3,}/g, '\n\n');
+    }
+  } else {
+    // Pattern 2: Look for any bold text after the severity line
+    const afterSeverity = body.substring(body.indexOf(severityMatch[0]) + severityMatch[0].length);
+    const boldMatch = afterSeverity.match(/\*\*([^*]+)\*\*/);
+    if (boldMatch) {
+      title = boldMatch[1].trim();
+    }
+
+    // Pattern 3: Extract text after severity marker until end or next section
+    const textMatch = afterSeverity.match(/^\s*\n\s*([^\n<]+)/);
+    if (!title && textMatch) {
+      title = textMatch[1].trim();
+    }
+
+    // Get description (text after title or after severity)
+    const descStart = title ? afterSeverity.indexOf(title) + title.length : 0;
+    const descText = afterSeverity.substring(descStart);
+    const descMatch = descText.match(/^\s*\n\s*([^\n<`]+)/);
+    if (descMatch) {
+      description = descMatch[1].trim();
+    }
+  }
+
+  // If still no title, use first 100 chars of body as title
+  if (!title) {
+    const cleanBody = body.replace(/<[^>]+>/g, '').replace(/[_*`]/g, '').trim();
+    const lines = cleanBody.split('\n').filter(line => line.trim());
+    if (lines.length > 0) {
+      title = lines[0].substring(0, 100) + (lines[0].length > 100 ? '...' : '');
+    }
+  }
+
+  return { severity, priority, title, description, aiPrompt: extractCodeRabbitAIPrompt(body) };
+}
+
+// Collapsible sections of a review summary that bundle findings not posted as inline comments.
+// Their items only carry a marker in newer CodeRabbit versions, hence the fallback severity/priority.
+// "♻️ Duplicate comments" re-raises findings already posted inline on an earlier review, so it's skipped.
+const CODERABBIT_SUMMARY_SECTIONS = [
+  { pattern: /🧹 Nitpick comments/u, category: 'nitpick', severity: 'Nitpick', priority: 'Trivial' },
+  { pattern: /⚠️ Outside diff range comments/u, category: 'outside-diff', severity: 'Outside diff range', priority: 'Unspecified' }
+];
+
+// Returns the content of a <details> element, from the end of its <summary> to the matching </details>
+function getDetailsContent(body, contentStart) {
+  const tagPattern = /<details>|<\/details>/g;
+  tagPattern.lastIndex = contentStart;
+
+  let depth = 1;
+  let match;
+  while ((match = tagPattern.exec(body))) {
+    depth += match[0] === '<details>' ? 1 : -1;
+    if (depth === 0) {
+      return body.substring(contentStart, match.index);
+    }
+  }
+  return body.substring(contentStart);
+}
+
+// Parses one finding of a summary section, e.g. "`10-12`: **Use const here**\n\nDescription..."
+function parseCodeRabbitSummaryItem(text, path, startLine, endLine, section) {
+  const markerMatch = text.match(/_(⚠️|🧹|💡|🔍)\s*([^_]+)_\s*\|\s*_([🔵🟠🟡🔴🟣])\s*([^_]+)_/u);
+  const titleMatch = text.match(/\*\*([^*]+)\*\*/);
+
+  let title = titleMatch ? titleMatch[1].trim() : '';
+  if (!title) {
+    const firstLine = text.replace(/<[^>]+>/g, '').split('\n').map(line => line.trim()).find(Boolean) || '';
+    title = firstLine.substring(0, 100) + (firstLine.length > 100 ? '...' : '');
+  }
+
+  // Description runs from the title to the first code block or nested section
+  const afterTitle = titleMatch ? text.substring(text.indexOf(titleMatch[0]) + titleMatch[0].length) : text;
+  const description = afterTitle
+    .split(/```|<details>/)[0]
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    // Items are separated by a horizontal rule, which would otherwise end the description
+    .replace(/(?:^|\n)[ \t]*(?:-{3,}|\*{3,}|_{3,})$/, '')
+    .trim()
+    .replace(/\n{3,}/g, '\n\n');
+
+  return {
+    category: section.category,
+    severity: markerMatch ? markerMatch[2].trim() : section.severity,
+    priority: markerMatch ? markerMatch[4].trim() : section.priority,
+    title,
+    description,
+    path,
+    startLine,
+    endLine,
+    suggestion: extractSuggestion(text, { startLine, endLine }),
+    aiPrompt: extractCodeRabbitAIPrompt(text)
+  };
+}
+
+// Splits the nitpick and outside diff range sections of a review summary into findings.
+// Each section holds one <details> per file, whose items start with their line range in backticks.
+function parseCodeRabbitReviewSummary(body) {
+  if (!body) return [];
+
+  const issues = [];
+  const summaryPattern = /<summary>([^<]*?)\s*\((\d+)\)<\/summary>/gu;
+
+  for (const sectionMatch of body.matchAll(summaryPattern)) {
+    const section = CODERABBIT_SUMMARY_SECTIONS.find(({ pattern }) => pattern.test(sectionMatch[1]));
+    if (!section) continue;
+
+    const sectionContent = getDetailsContent(body, sectionMatch.index + sectionMatch[0].length);
+
+    for (const fileMatch of sectionContent.matchAll(summaryPattern)) {
+      const path = fileMatch[1].trim();
+      const fileContent = getDetailsContent(sectionContent, fileMatch.index + fileMatch[0].length)
+        .replace(/<\/?blockquote>/g, '');
+
+      const itemStarts = [...fileContent.matchAll(/^`(\d+)(?:-(\d+))?`:\s*/gm)];
+      itemStarts.forEach((itemMatch, index) => {
+        const itemEnd = index + 1 < itemStarts.length ? itemStarts[index + 1].index : fileContent.length;
+        const startLine = parseInt(itemMatch[1], 10);
+        const endLine = itemMatch[2] ? parseInt(itemMatch[2], 10) : startLine;
+        const text = fileContent.substring(itemMatch.index + itemMatch[0].length, itemEnd).trim();
+
+        issues.push(parseCodeRabbitSummaryItem(text, path, startLine, endLine, section));
+      });
+    }
+  }
+
+  return issues;
+}
+
+registerCommentParser('coderabbit', {
+  name: 'CodeRabbit',
+  parse: parseCodeRabbitComment,
+  parseReviewSummary: parseCodeRabbitReviewSummary
+});
@@ -0,0 +1,81 @@
+// Fallback parser for review bots without a dedicated parser.
+// Every inline review comment counts as actionable: the title is its first bold text (or first line),
+// and severity/priority come from common markers such as "**Severity:** High", "[critical]" or 🔴.
+
+const GENERIC_PRIORITY_KEYWORDS = [
+  { pattern: /\b(critical|blocker)\b/i, priority: 'Critical' },
+  { pattern: /\b(high|major)\b/i, priority: 'Major' },
+  { pattern: /\b(medium|moderate)\b/i, priority: 'Minor' },
+  { pattern: /\b(low|minor|nit|nitpick|trivial)\b/i, priority: 'Trivial' }
+];
+
+const GENERIC_PRIORITY_EMOJIS = {
+  '🔴': 'Critical',
+  '🟠': 'Major',
+  '🟡': 'Minor',
+  '🔵': 'Trivial'
+};
+
+// Looks for a priority marker near the top of the comment
+function detectGenericPriority(header) {
+  const labelled = header.match(/(?:severity|priority)\**\s*[:=-]\s*\**\s*([a-z]+)/i) ||
+    header.match(/\[([a-z]+)\]/i);
+  const candidates = labelled ? [labelled[1], header] : [header];
+
+  for (const text of candidates) {
+    const keyword = GENERIC_PRIORITY_KEYWORDS.find(({ pattern }) => pattern.test(text));
+    if (keyword) return keyword.priority;
+  }
+
+  const emoji = Object.keys(GENERIC_PRIORITY_EMOJIS).find(marker => header.includes(marker));
+  return emoji ? GENERIC_PRIORITY_EMOJIS[emoji] : 'Unspecified';
+}
+
+function parseGenericComment(body, comment = {}) {
+  // Only inline review comments point at code; summaries and replies in the conversation don't
+  if (!body || !comment.path) return null;
+  // Replies within a thread aren't new findings
+  if (comment.in_reply_to_id) return null;
+
+  const cleanBody = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<details>[\s\S]*?<\/details>/g, '')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+  if (!cleanBody) return null;
+
+  const lines = cleanBody.split('\n').map(line => line.trim()).filter(Boolean);
+  const header = lines.slice(0, 3).join(' ');
+
+  // Skip label lines like "**Severity:** High" when picking the title and description
+  const isLabel = text => /^\**\s*(severity|priority)\b/i.test(text);
+
+  const boldTitle = [...cleanBody.matchAll(/\*\*([^*]+)\*\*/g)]
+    .map(match => match[1].trim())
+    .find(text => !isLabel(text));
+
+  let title = boldTitle;
+  if (!title) {
+    const firstLine = (lines.find(line => !isLabel(line)) || lines[0]).replace(/[_*`#>]/g, '').trim();
+    title = firstLine.substring(0, 100) + (firstLine.length > 100 ? '...' : '');
+  }
+
+  const description = lines
+    .filter(line => !isLabel(line) && !line.replace(/[_*`#>]/g, '').includes(title.replace(/\.\.\.$/, '')))
+    .slice(0, 3)
+    .join(' ')
+    .replace(/[_*`]/g, '')
+    .trim();
+
+  return {
+    severity: 'Review comment',
+    priority: detectGenericPriority(header),
+    title,
+    description
+  };
+}
+
+registerCommentParser('generic', {
+  name: 'Generic (any inline comment)',
+  parse: parseGenericComment
+});
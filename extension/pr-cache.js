@@ -0,0 +1,117 @@
+// IndexedDB cache of fetched CodeRabbit comments and review threads, keyed by repo + PR number.
+// Entries remember the PR's updated_at, so a PR is only refetched after it changed on GitHub.
+const PR_CACHE_DB_NAME = 'pr-hopper-cache';
+const PR_CACHE_DB_VERSION = 1;
+const PR_CACHE_STORE = 'pullRequests';
+// Bump when the shape of cached comments/threads changes so older entries are refetched
+const PR_CACHE_FORMAT = 6;
+
+class PRCache {
+  // namespace separates entries of different GitHub hosts ('' for github.com);
+  // variant records which bots' comments were kept, so changing the bot list refetches
+  constructor(namespace = '', variant = '') {
+    this.namespace = namespace;
+    this.variant = variant;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(PR_CACHE_DB_NAME, PR_CACHE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(PR_CACHE_STORE)) {
+            db.createObjectStore(PR_CACHE_STORE, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  getKey(repository, prNumber) {
+    const key = `${repository}#${prNumber}`;
+    return this.namespace ? `${this.namespace}:${key}` : key;
+  }
+
+  // Runs a single request against the store and resolves with its result
+  async runRequest(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(PR_CACHE_STORE, mode);
+      const request = createRequest(transaction.objectStore(PR_CACHE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Returns the cached { comments, threads } of a PR, or null if missing or the PR changed since
+  async get(repository, prNumber, updatedAt) {
+    try {
+      const entry = await this.runRequest('readonly', store => store.get(this.getKey(repository, prNumber)));
+      if (!entry || entry.updatedAt !== updatedAt || entry.format !== PR_CACHE_FORMAT || entry.variant !== this.variant) {
+        return null;
+      }
+      return { comments: entry.comments, threads: entry.threads };
+    } catch (error) {
+      console.error(`Error reading cache for ${repository}#${prNumber}:`, error);
+      return null;
+    }
+  }
+
+  async put(repository, prNumber, updatedAt, comments, threads) {
+    try {
+      await this.runRequest('readwrite', store => store.put({
+        key: this.getKey(repository, prNumber),
+        format: PR_CACHE_FORMAT,
+        variant: this.variant,
+        repository,
+        number: prNumber,
+        updatedAt,
+        cachedAt: new Date().toISOString(),
+        // Approximate size, summed up for the cache stats in the side panel
+        size: JSON.stringify(comments).length + JSON.stringify(threads).length,
+        comments,
+        threads
+      }));
+    } catch (error) {
+      // A failed write only costs a refetch next time
+      console.error(`Error writing cache for ${repository}#${prNumber}:`, error);
+    }
+  }
+
+  // Returns the number of cached PRs and their approximate size in bytes
+  async getStats() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const stats = { count: 0, sizeBytes: 0 };
+      const request = db.transaction(PR_CACHE_STORE, 'readonly').objectStore(PR_CACHE_STORE).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          stats.count++;
+          stats.sizeBytes += cursor.value.size || 0;
+          cursor.continue();
+        } else {
+          resolve(stats);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    await this.runRequest('readwrite', store => store.clear());
+  }
+}
+
+// Export for use in github-api.js and sidepanel.js
+if (typeof window !== 'undefined') {
+  window.PRCache = PRCache;
+}
@@ -0,0 +1,107 @@
+// Side-by-side repository comparison for org-wide and multi-repo analyses: PR count, issues per PR,
+// acceptance rate, priority mix and the most recurring title group of each repository, followed by
+// the title groups that recur in more than one repository
+
+import { extractTitles, escapeHtml, getGroupRepositories, renderRepositoryChips } from './filter-utils.js';
+import { renderPriorityMix } from './hotspots.js';
+import { DEFAULT_SIMILARITY_THRESHOLD } from './similarity.js';
+
+// How many cross-repository title groups are listed below the table
+const CROSS_REPO_GROUP_LIMIT = 10;
+
+/**
+ * Finds the largest title group of each repository, counting only that repository's comments.
+ * Works on the groups of the whole analysis, so the cached grouping is reused instead of
+ * clustering every repository's titles again.
+ * @param {Array} groups - Title groups from extractTitles
+ * @returns {Map} Full repository name (owner/repo) -> { group, count }, for repositories
+ *   where a group came up more than once
+ */
+function getTopRecurringGroups(groups) {
+  const topGroups = new Map();
+  groups.forEach(group => {
+    const counts = {};
+    group.allOccurrences.forEach(occurrence => {
+      counts[occurrence.repository] = (counts[occurrence.repository] || 0) + 1;
+    });
+    Object.entries(counts).forEach(([repository, count]) => {
+      if (count > 1 && count > (topGroups.get(repository)?.count || 0)) {
+        topGroups.set(repository, { group, count });
+      }
+    });
+  });
+  return topGroups;
+}
+
+/**
+ * Displays per-repository stats side by side
+ * @param {string} elementId - ID of the container element
+ * @param {Object} data - The PR analysis data (uses data.repositories from analyzePRs)
+ * @param {number} similarityThreshold - Minimum similarity for titles to be grouped
+ * @param {Object} curation - Manual group edits to apply, as in the title list (see curation.js), if any
+ */
+export function displayRepositoryBreakdown(elementId, data, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, curation = null) {
+  const container = document.getElementById(elementId);
+  const repositories = data.repositories;
+  container.innerHTML = '';
+
+  if (!repositories || repositories.length === 0) {
+    container.innerHTML = '<div class="empty-state">No repositories found</div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'repo-breakdown-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Repository</th>
+        <th>PRs</th>
+        <th title="Actionable issues per PR, including PRs without any">Issues/PR</th>
+        <th>Accepted</th>
+        <th>Priority mix</th>
+        <th>Top recurring group</th>
+      </tr>
+    </thead>
+  `;
+
+  const groups = extractTitles(data, similarityThreshold, curation);
+  const topGroups = getTopRecurringGroups(groups);
+
+  const tbody = document.createElement('tbody');
+  repositories.forEach(repo => {
+    // Exports from before the comparison table only have the PR and issue counts
+    const hasDetails = repo.priorities !== undefined;
+    const topGroup = topGroups.get(repo.name);
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td class="repo-breakdown-name">${escapeHtml(repo.name.split('/')[1] || repo.name)}</td>
+      <td>${repo.totalPRs}</td>
+      <td>${repo.issuesPerPR ?? repo.avgIssuesPerPR}</td>
+      <td title="${hasDetails ? `${repo.acceptedIssues} of ${repo.totalActionableIssues} accepted` : ''}">${hasDetails && repo.totalActionableIssues > 0 ? `${repo.acceptanceRate}%` : '–'}</td>
+      <td>${hasDetails && repo.totalActionableIssues > 0 ? renderPriorityMix(repo.priorities, repo.totalActionableIssues) : ''}</td>
+      <td class="repo-breakdown-group">${topGroup ? `<span class="title-item-count">${topGroup.count}</span> ${escapeHtml(topGroup.group.customName || topGroup.group.mainTitle)}` : '–'}</td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  table.appendChild(tbody);
+  container.appendChild(table);
+
+  const crossRepoGroups = groups.filter(group => getGroupRepositories(group).length > 1);
+  if (crossRepoGroups.length > 0) {
+    const list = document.createElement('div');
+    list.className = 'cross-repo-groups';
+    list.innerHTML = `
+      <h3 class="comparison-heading">Recurring in several repositories (${crossRepoGroups.length})</h3>
+      ${crossRepoGroups.slice(0, CROSS_REPO_GROUP_LIMIT).map(group => `
+        <div class="cross-repo-group">
+          <span class="title-item-count">${group.totalCount}</span>
+          <span class="title-item-text">${escapeHtml(group.customName || group.mainTitle)}</span>
+          ${renderRepositoryChips(group)}
+        </div>
+      `).join('')}
+    `;
+    container.appendChild(list);
+  }
+}
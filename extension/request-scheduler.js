@@ -0,0 +1,131 @@
+// Central scheduler for GitHub API requests.
+// Tracks the REST (core), Search and GraphQL rate limits from response headers, waits out
+// exhausted budgets and secondary rate limits instead of failing, and sizes concurrency
+// to the remaining budget.
+
+// Wait used for secondary rate limits that don't send a Retry-After header
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60 * 1000;
+const MAX_CONCURRENCY = 20;
+const MIN_CONCURRENCY = 2;
+
+const RESOURCE_LABELS = {
+  core: 'REST',
+  search: 'Search',
+  graphql: 'GraphQL'
+};
+
+class RequestScheduler {
+  constructor() {
+    // resource -> { limit, remaining, resetAt (ms) }
+    this.limits = {};
+    // resource -> time (ms) before which no request should be sent (Retry-After, secondary limits)
+    this.blockedUntil = {};
+    // Halved every time a secondary rate limit is hit
+    this.concurrencyCap = MAX_CONCURRENCY;
+    // Called with { resource, label, resumeAt } whenever requests pause for a rate limit
+    this.onWait = null;
+  }
+
+  // Maps a request URL to the rate limit bucket GitHub charges it to
+  static getResource(url) {
+    if (url.endsWith('/graphql')) return 'graphql';
+    if (url.includes('/search/')) return 'search';
+    return 'core';
+  }
+
+  // Resolves once requests to the resource may be sent again (rejects if signal is aborted meanwhile)
+  async acquire(resource, signal) {
+    const limit = this.limits[resource];
+    const exhaustedUntil = limit && limit.remaining === 0 ? limit.resetAt : 0;
+    const resumeAt = Math.max(this.blockedUntil[resource] || 0, exhaustedUntil);
+
+    if (resumeAt > Date.now()) {
+      const label = RESOURCE_LABELS[resource] || resource;
+      console.warn(`⏸️ GitHub ${label} rate limit reached, waiting until ${new Date(resumeAt).toLocaleTimeString()}`);
+      if (this.onWait) {
+        this.onWait({ resource, label, resumeAt });
+      }
+      await abortableSleep(resumeAt - Date.now(), signal);
+    }
+  }
+
+  // Records the rate limit headers of a response
+  record(resource, response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    if (remaining === null) return;
+
+    this.limits[resource] = {
+      limit: parseInt(response.headers.get('x-ratelimit-limit'), 10),
+      remaining: parseInt(remaining, 10),
+      resetAt: parseInt(response.headers.get('x-ratelimit-reset'), 10) * 1000
+    };
+  }
+
+  // Returns how long to back off (ms) if the response was rate limited, or null if it wasn't
+  getBackoff(resource, response, bodyText = '') {
+    if (response.status !== 403 && response.status !== 429) return null;
+
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+
+    const limit = this.limits[resource];
+    if (limit && limit.remaining === 0) {
+      // Add a second of slack so we don't land just before the reset
+      return Math.max(limit.resetAt - Date.now(), 0) + 1000;
+    }
+
+    if (response.status === 429 || /secondary rate limit|abuse/i.test(bodyText)) {
+      return SECONDARY_RATE_LIMIT_WAIT_MS;
+    }
+
+    // A plain 403 (permissions, SSO) isn't a rate limit
+    return null;
+  }
+
+  // Returns how long to wait for the resource's budget to reset (GraphQL reports RATE_LIMITED in the body)
+  getResetDelay(resource) {
+    const limit = this.limits[resource];
+    if (limit && limit.resetAt > Date.now()) {
+      return limit.resetAt - Date.now() + 1000;
+    }
+    return SECONDARY_RATE_LIMIT_WAIT_MS;
+  }
+
+  // Blocks the resource for delayMs and waits it out
+  async backOff(resource, delayMs, signal) {
+    const limit = this.limits[resource];
+    const isSecondary = !(limit && limit.remaining === 0);
+
+    // Secondary limits are triggered by bursts, so slow down for the rest of the run
+    if (isSecondary) {
+      this.concurrencyCap = Math.max(MIN_CONCURRENCY, Math.floor(this.concurrencyCap / 2));
+    }
+
+    this.blockedUntil[resource] = Math.max(this.blockedUntil[resource] || 0, Date.now() + delayMs);
+    await this.acquire(resource, signal);
+  }
+
+  // How many tasks to run in parallel, given the remaining budget and what each task costs
+  getConcurrency(resource, requestsPerTask) {
+    const limit = this.limits[resource];
+    if (!limit) return this.concurrencyCap;
+
+    // Leave room for the retries and pagination of the tasks already in flight
+    const affordable = Math.floor(limit.remaining / (requestsPerTask * 2));
+    return Math.max(MIN_CONCURRENCY, Math.min(this.concurrencyCap, affordable));
+  }
+
+  // Short summary of the known budgets for the progress display
+  describe() {
+    return Object.entries(this.limits)
+      .map(([resource, limit]) => `${RESOURCE_LABELS[resource] || resource} ${limit.remaining.toLocaleString()}`)
+      .join(' · ');
+  }
+}
+
+// Export for use in github-api.js
+if (typeof window !== 'undefined') {
+  window.RequestScheduler = RequestScheduler;
+}
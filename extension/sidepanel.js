@@ -4,13 +4,59 @@ import {
   initializePriorityFilter,
   displayDistribution,
   displayTitles,
+  extractTitles,
+  displayBotBreakdown,
+  displayTimingBreakdown,
+  initializeExtraFilter,
   applyCombinedFilters,
   applyManualAcceptanceState
 } from './filter-utils.js';
+import { buildHotspotTree, displayHotspots } from './hotspots.js';
+import { displayAuthorBreakdown } from './authors.js';
+import { displayRepositoryBreakdown } from './repositories.js';
+import { buildTrendSeries, displayTrendCharts } from './charts.js';
+import { getPreviousPeriod, compareAnalyses, displayComparison } from './compare.js';
+import { getActiveProfile, getProfileEndpoints } from './token-store.js';
+import { DEFAULT_SIMILARITY_THRESHOLD, MIN_SIMILARITY_THRESHOLD } from './similarity.js';
+import {
+  createEmptyCuration,
+  isCurationEmpty,
+  loadGroupCuration,
+  saveGroupCuration,
+  moveTitles,
+  splitTitle,
+  renameGroup,
+  togglePinnedGroup,
+  summarizeGroupsForExport
+} from './curation.js';
 
 let currentData = null;
 let selectedPriorities = new Set(['all']);
 let selectedAcceptanceStatus = 'all';
+let selectedBot = 'all';
+let selectedCategory = 'all';
+let selectedAuthor = 'all';
+// Whether the user opted in to the per-author breakdown and filter (saved in storage)
+let showAuthors = false;
+// Minimum similarity for titles to be grouped, set with the slider above the title list (saved in storage)
+let similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD;
+// Manual group edits (merges, splits, names, pins) of the current results' analysis scope, see curation.js
+let groupCuration = createEmptyCuration();
+const CATEGORY_LABELS = {
+  inline: '💬 Inline',
+  nitpick: '🧹 Nitpick',
+  'outside-diff': '⚠️ Outside diff range'
+};
+// Directory tree of the current results, re-rendered when the hotspot sort changes
+let hotspotTree = null;
+const prCache = new PRCache();
+let countdownTimer = null;
+// AnalysisControl of the running analysis, and the results collected before a cancel
+let currentControl = null;
+let partialResults = null;
+// Token profile selected on the options page (null means config.js / unauthenticated on github.com)
+let activeProfile = null;
+const SCOPE_INPUT_IDS = ['prState', 'prAuthor', 'prLabel', 'prBase', 'prExtraQualifiers'];
 
 // Initialize date inputs with default values
 document.addEventListener('DOMContentLoaded', () => {
@@ -32,28 +78,16 @@ document.addEventListener('DOMContentLoaded', () => {
   startDateInput.setAttribute('max', todayStr);
   endDateInput.setAttribute('max', todayStr);
 
-  // Update constraints dynamically to enforce 90-day range
+  // Keep the range ordered; long ranges are analyzed in resumable chunks, so there's no maximum length
   function updateDateConstraints() {
     const startVal = startDateInput.value;
     const endVal = endDateInput.value;
 
     if (startVal) {
-      // End date must be at most 90 days after start date
-      const startDate = new Date(startVal);
-      const maxEndDate = new Date(startDate.getTime() + 90 * 24 * 60 * 60 * 1000);
-      const maxEndDateStr = maxEndDate > today ? todayStr : maxEndDate.toISOString().split('T')[0];
-
       endDateInput.setAttribute('min', startVal);
-      endDateInput.setAttribute('max', maxEndDateStr);
     }
 
     if (endVal) {
-      // Start date must be at least 90 days before end date
-      const endDate = new Date(endVal);
-      const minStartDate = new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
-      const minStartDateStr = minStartDate.toISOString().split('T')[0];
-
-      startDateInput.setAttribute('min', minStartDateStr);
       startDateInput.setAttribute('max', endVal);
     }
   }
@@ -66,21 +100,96 @@ document.addEventListener('DOMContentLoaded', () => {
   endDateInput.addEventListener('change', updateDateConstraints);
 
   // Load saved values from storage
-  chrome.storage.local.get(['organization', 'repository'], (result) => {
+  chrome.storage.local.get(['organization', 'repository', 'fetchStrategy', 'verifySuggestions', 'prScope', 'showAuthorBreakdown', 'similarityThreshold'], async (result) => {
     if (result.organization) {
       document.getElementById('organization').value = result.organization;
     }
     if (result.repository) {
       document.getElementById('repository').value = result.repository;
     }
+    if (result.fetchStrategy) {
+      document.getElementById('fetchStrategy').value = result.fetchStrategy;
+    }
+    if (result.verifySuggestions) {
+      document.getElementById('verifySuggestions').value = result.verifySuggestions;
+    }
+    if (result.prScope) {
+      applyScope(result.prScope);
+    }
+    showAuthors = result.showAuthorBreakdown || false;
+    if (result.similarityThreshold) {
+      // Values saved before the slider's minimum was raised are clamped to it
+      similarityThreshold = Math.max(result.similarityThreshold, MIN_SIMILARITY_THRESHOLD);
+    }
+    updateSimilarityControl();
+    // An interrupted analysis restores its own inputs so it can be resumed
+    const checkpointParams = (await GitHubAPI.loadCheckpoint())?.params;
+    if (checkpointParams) {
+      document.getElementById('organization').value = checkpointParams.owner;
+      document.getElementById('repository').value = checkpointParams.repo;
+      startDateInput.value = checkpointParams.startDate;
+      endDateInput.value = checkpointParams.endDate;
+      if (checkpointParams.scope) {
+        applyScope(checkpointParams.scope);
+      }
+      if (checkpointParams.fetchStrategy) {
+        document.getElementById('fetchStrategy').value = checkpointParams.fetchStrategy;
+        document.getElementById('verifySuggestions').value = checkpointParams.verifySuggestions ? 'on' : 'off';
+      }
+      updateDateConstraints();
+    }
     // Update the GitHub search link after loading saved values
     updateGitHubSearchLink();
+    updateResumeNotice();
   });
 
   // Set up event listeners
   document.getElementById('analyzeBtn').addEventListener('click', handleAnalyze);
   document.getElementById('exportBtn').addEventListener('click', handleExport);
   document.getElementById('newAnalysisBtn').addEventListener('click', handleNewAnalysis);
+  document.getElementById('discardCheckpointBtn').addEventListener('click', handleDiscardCheckpoint);
+  document.getElementById('clearCacheBtn').addEventListener('click', handleClearCache);
+  document.getElementById('pauseBtn').addEventListener('click', handlePauseResume);
+  document.getElementById('cancelBtn').addEventListener('click', handleCancel);
+  document.getElementById('showPartialBtn').addEventListener('click', handleShowPartialResults);
+  document.getElementById('dismissPartialBtn').addEventListener('click', hideCancelledNotice);
+  document.getElementById('manageTokensBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('hotspotSort').addEventListener('change', (event) => {
+    if (hotspotTree) displayHotspots('hotspotTree', hotspotTree, event.target.value);
+  });
+  document.getElementById('authorToggleBtn').addEventListener('click', () => {
+    showAuthors = !showAuthors;
+    chrome.storage.local.set({ showAuthorBreakdown: showAuthors });
+    if (!currentData) return;
+    initializeAuthorSection(currentData);
+    applyFilters();
+  });
+  // Regroup while the slider moves; save the value once it's released
+  const similarityInput = document.getElementById('similarityThreshold');
+  similarityInput.addEventListener('input', () => {
+    similarityThreshold = Number(similarityInput.value);
+    updateSimilarityControl();
+    if (!currentData) return;
+    applyFilters();
+    refreshRepositoryBreakdown();
+  });
+  similarityInput.addEventListener('change', () => {
+    chrome.storage.local.set({ similarityThreshold });
+  });
+  document.getElementById('resetCurationBtn').addEventListener('click', () => {
+    updateCuration(curation => Object.assign(curation, createEmptyCuration()));
+  });
+  document.getElementById('comparePreviousBtn').addEventListener('click', handleComparePrevious);
+  document.getElementById('compareImportBtn').addEventListener('click', () => {
+    document.getElementById('compareImportInput').click();
+  });
+  document.getElementById('compareImportInput').addEventListener('change', handleCompareImport);
+  document.getElementById('trendInterval').addEventListener('change', (event) => {
+    if (currentData) displayTrendCharts('trendCharts', buildTrendSeries(currentData, event.target.value));
+  });
+  document.getElementById('timingGroupBy').addEventListener('change', (event) => {
+    if (currentData?.timing) displayTimingBreakdown('timingBreakdown', currentData.timing, event.target.value);
+  });
 
   // Set up GitHub search link updater
   const orgInput = document.getElementById('organization');
@@ -90,10 +199,146 @@ document.addEventListener('DOMContentLoaded', () => {
   startDateInput.addEventListener('change', updateGitHubSearchLink);
   endDateInput.addEventListener('change', updateGitHubSearchLink);
 
+  // Show whether the current inputs match an interrupted analysis that can be resumed
+  orgInput.addEventListener('input', updateResumeNotice);
+  repoInput.addEventListener('input', updateResumeNotice);
+  startDateInput.addEventListener('change', updateResumeNotice);
+  endDateInput.addEventListener('change', updateResumeNotice);
+  document.getElementById('fetchStrategy').addEventListener('change', updateResumeNotice);
+  document.getElementById('verifySuggestions').addEventListener('change', updateResumeNotice);
+
+  // PR scope options change both the search link and which checkpoint applies
+  SCOPE_INPUT_IDS.forEach(id => {
+    const input = document.getElementById(id);
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, updateGitHubSearchLink);
+    input.addEventListener(eventName, updateResumeNotice);
+  });
+
   // Initialize the GitHub search link
   updateGitHubSearchLink();
+  updateCacheStats();
+  updateTokenStatus();
+
+  // Pick up tokens added or switched on the options page while the panel is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.tokenProfiles || changes.activeTokenProfileId)) {
+      updateTokenStatus();
+      // The checkpoint only applies to the server it was saved on
+      updateResumeNotice();
+    }
+    // ...and to the review bots it was saved with
+    if (areaName === 'local' && changes.reviewBots) {
+      updateResumeNotice();
+    }
+  });
 });
 
+// Reads the PR scope options ({ state, author, label, base, extra }, see GitHubAPI.buildScopeQualifiers)
+function readScope() {
+  return {
+    state: document.getElementById('prState').value,
+    author: document.getElementById('prAuthor').value.trim().replace(/^@/, ''),
+    label: document.getElementById('prLabel').value.trim(),
+    base: document.getElementById('prBase').value.trim(),
+    extra: document.getElementById('prExtraQualifiers').value.trim()
+  };
+}
+
+function applyScope(scope) {
+  document.getElementById('prState').value = scope.state || 'closed';
+  document.getElementById('prAuthor').value = scope.author || '';
+  document.getElementById('prLabel').value = scope.label || '';
+  document.getElementById('prBase').value = scope.base || '';
+  document.getElementById('prExtraQualifiers').value = scope.extra || '';
+
+  // Keep the options visible when anything beyond the default is set
+  const isDefault = (scope.state || 'closed') === 'closed' && !scope.author && !scope.label && !scope.base && !scope.extra;
+  if (!isDefault) {
+    document.querySelector('.scope-options').open = true;
+  }
+}
+
+// Show which token (and GitHub host) the next analysis will use
+async function updateTokenStatus() {
+  const statusEl = document.getElementById('tokenStatus');
+  const profile = await getActiveProfile();
+  activeProfile = profile;
+
+  // Links point at the profile's host, which may be an Enterprise Server
+  updateGitHubSearchLink();
+
+  if (profile) {
+    const login = profile.validation?.login;
+    const host = profile.endpoints ? ` on ${new URL(profile.endpoints.webUrl).host}` : '';
+    statusEl.textContent = `🔑 Token: ${profile.name}${login ? ` (@${login})` : ''}${host}`;
+  } else if (window.CONFIG?.GITHUB_TOKEN) {
+    statusEl.textContent = '🔑 Token: config.js';
+  } else {
+    statusEl.textContent = '⚠️ No token (60 requests/hour)';
+  }
+}
+
+// Show how many PRs are cached locally and roughly how much space they take
+async function updateCacheStats() {
+  const statsEl = document.getElementById('cacheStats');
+
+  try {
+    const { count, sizeBytes } = await prCache.getStats();
+    const sizeLabel = sizeBytes >= 1024 * 1024
+      ? `${(sizeBytes / 1024 / 1024).toFixed(1)} MB`
+      : `${Math.ceil(sizeBytes / 1024)} KB`;
+    statsEl.textContent = `🗄️ Cache: ${count} PRs (${sizeLabel})`;
+  } catch (error) {
+    console.error('Error reading cache stats:', error);
+    statsEl.textContent = '🗄️ Cache unavailable';
+  }
+}
+
+async function handleClearCache() {
+  try {
+    await prCache.clear();
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    showError('Failed to clear the cache');
+  }
+  updateCacheStats();
+}
+
+// Show the resume notice when the inputs match the saved checkpoint of an interrupted analysis
+async function updateResumeNotice() {
+  const organization = document.getElementById('organization').value.trim();
+  const repository = document.getElementById('repository').value.trim();
+  const startDate = document.getElementById('startDate').value;
+  const endDate = document.getElementById('endDate').value;
+  const notice = document.getElementById('resumeNotice');
+
+  const checkpoint = await GitHubAPI.loadCheckpoint();
+  const { apiUrl } = getProfileEndpoints(await getActiveProfile());
+  const key = GitHubAPI.getCheckpointKey(
+    organization, repository, startDate, endDate, GitHubAPI.buildScopeQualifiers(readScope()), {
+      apiBaseUrl: apiUrl,
+      fetchStrategy: document.getElementById('fetchStrategy').value,
+      verifySuggestions: document.getElementById('verifySuggestions').value === 'on',
+      reviewBots: await loadReviewBots()
+    }
+  );
+
+  if (checkpoint && checkpoint.key === key) {
+    notice.querySelector('.resume-notice-text').textContent =
+      `💾 Saved progress found: ${checkpoint.completedChunks} of ${checkpoint.totalChunks} date ranges done. ` +
+      `Analyze PRs will resume from there.`;
+    notice.style.display = 'flex';
+  } else {
+    notice.style.display = 'none';
+  }
+}
+
+async function handleDiscardCheckpoint() {
+  await GitHubAPI.clearCheckpoint();
+  updateResumeNotice();
+}
+
 // Update the GitHub search link based on input values
 function updateGitHubSearchLink() {
   const organization = document.getElementById('organization').value.trim();
@@ -102,14 +347,19 @@ function updateGitHubSearchLink() {
   const endDate = document.getElementById('endDate').value;
   const linkElement = document.getElementById('githubSearchLink');
 
-  // Check if all required fields are filled
-  if (organization && repository && startDate && endDate) {
+  // Check if all required fields are filled (repository is optional for org-wide searches,
+  // and may list several comma-separated repos)
+  if (organization && startDate && endDate) {
     // Build the GitHub search URL to match the extension's search criteria
     // Format: https://github.com/search?q=repo:org/repo+is:pr+is:closed+created:YYYY-MM-DD..YYYY-MM-DD&type=pullrequests
-    // Note: GitHub search will show ALL closed PRs, but the extension only analyzes those with CodeRabbit comments
-    const searchQuery = `repo:${organization}/${repository} is:pr is:closed created:${startDate}..${endDate}`;
+    // (on the Enterprise Server of the active token profile, if it has one)
+    // Note: GitHub search will show ALL PRs in scope, but the extension only analyzes those with CodeRabbit comments
+    const scope = GitHubAPI.buildSearchScope(organization, repository);
+    const qualifiers = GitHubAPI.buildScopeQualifiers(readScope());
+    const searchQuery = `${scope} is:pr ${qualifiers ? `${qualifiers} ` : ''}created:${startDate}..${endDate}`;
     const encodedQuery = encodeURIComponent(searchQuery);
-    const githubUrl = `https://github.com/search?q=${encodedQuery}&type=pullrequests`;
+    const { webUrl } = getProfileEndpoints(activeProfile);
+    const githubUrl = `${webUrl}/search?q=${encodedQuery}&type=pullrequests`;
 
     linkElement.href = githubUrl;
     linkElement.style.pointerEvents = 'auto';
@@ -138,9 +388,31 @@ function showProgress(message, progressData = null) {
   const progressBarFill = document.getElementById('progressBarFill');
   const progressPercentage = document.getElementById('progressPercentage');
 
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+
   progressText.textContent = message;
   progressDiv.style.display = 'block';
 
+  // Rate limit pause: count down to the reset and leave the progress bar where it was
+  if (progressData && progressData.waitUntil) {
+    const updateCountdown = () => {
+      const secondsLeft = Math.max(0, Math.ceil((progressData.waitUntil - Date.now()) / 1000));
+      const minutes = Math.floor(secondsLeft / 60);
+      const seconds = String(secondsLeft % 60).padStart(2, '0');
+      progressText.textContent = `${message} Resuming in ${minutes}:${seconds}`;
+
+      if (secondsLeft === 0) {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+      }
+    };
+
+    updateCountdown();
+    countdownTimer = setInterval(updateCountdown, 1000);
+    return;
+  }
+
   // Update progress bar if progress data is provided
   if (progressData && progressData.current !== undefined && progressData.total !== undefined) {
     const percentage = progressData.total > 0
@@ -161,6 +433,9 @@ function hideProgress() {
   const progressBarFill = document.getElementById('progressBarFill');
   const progressPercentage = document.getElementById('progressPercentage');
 
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+
   progressDiv.style.display = 'none';
   progressBarFill.style.width = '0%';
   progressPercentage.textContent = '0%';
@@ -181,10 +456,13 @@ async function handleAnalyze() {
   const repository = document.getElementById('repository').value.trim();
   const startDate = new Date(document.getElementById('startDate').value);
   const endDate = new Date(document.getElementById('endDate').value);
+  const fetchStrategy = document.getElementById('fetchStrategy').value;
+  const verifySuggestions = document.getElementById('verifySuggestions').value;
+  const prScope = readScope();
 
-  // Validation
-  if (!organization || !repository) {
-    showError('Please enter both organization and repository name');
+  // Validation (an empty repository means org-wide analysis, several comma-separated ones a multi-repo analysis)
+  if (!organization) {
+    showError('Please enter an organization name');
     return;
   }
 
@@ -198,13 +476,6 @@ async function handleAnalyze() {
     return;
   }
 
-  // Validate that date range doesn't exceed 90 days
-  const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-  if (daysDiff > 90) {
-    showError('Date range cannot exceed 90 days. Please select a shorter time period.');
-    return;
-  }
-
   // Validate end date is not in the future
   const today = new Date();
   today.setHours(0, 0, 0, 0); // Reset to start of day for fair comparison
@@ -214,35 +485,218 @@ async function handleAnalyze() {
   }
 
   // Save values to storage
-  chrome.storage.local.set({ organization, repository });
+  chrome.storage.local.set({ organization, repository, fetchStrategy, verifySuggestions, prScope });
 
   // Hide previous results and errors
   document.getElementById('results').style.display = 'none';
   document.getElementById('errorMessage').style.display = 'none';
+  hideCancelledNotice();
 
   setLoading(true);
+  document.getElementById('resumeNotice').style.display = 'none';
   showProgress('⏳ Starting analysis...');
 
   try {
-    // Run analysis directly in the side panel with hardcoded token
-    const api = new GitHubAPI(organization, repository, startDate, endDate);
-
-    const data = await api.analyzePRs((progress) => {
-      console.log('Progress:', progress);
-      if (progress.status) {
-        showProgress(`⏳ ${progress.status}`, progress);
-      }
+    const data = await runAnalysis({
+      organization,
+      repository,
+      startDate,
+      endDate,
+      fetchStrategy,
+      verifySuggestions: verifySuggestions === 'on',
+      prScope
     });
 
     currentData = data;
     hideProgress();
-    displayResults(data);
+    await displayResults(data);
   } catch (error) {
-    console.error('Error analyzing PRs:', error);
     hideProgress();
-    showError(error.message || 'Failed to analyze PRs. Please check your inputs and try again.');
+    if (error.name === 'AbortError') {
+      showCancelledNotice(error.partialResults);
+    } else {
+      console.error('Error analyzing PRs:', error);
+      showError(error.message || 'Failed to analyze PRs. Please check your inputs and try again.');
+    }
   } finally {
+    currentControl = null;
+    resetRunControls();
     setLoading(false);
+    updateResumeNotice();
+    updateCacheStats();
+  }
+}
+
+function handlePauseResume() {
+  if (!currentControl) return;
+
+  const pauseBtn = document.getElementById('pauseBtn');
+  const progressText = document.querySelector('#progressMessage .progress-text');
+
+  if (currentControl.paused) {
+    currentControl.resume();
+    pauseBtn.textContent = '⏸️ Pause';
+    progressText.textContent = '⏳ Resuming...';
+  } else {
+    currentControl.pause();
+    pauseBtn.textContent = '▶️ Resume';
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    progressText.textContent = '⏸️ Paused. Results collected so far are kept; resume or cancel at any time.';
+  }
+}
+
+function handleCancel() {
+  if (!currentControl) return;
+
+  currentControl.cancel();
+  document.getElementById('pauseBtn').disabled = true;
+  document.getElementById('cancelBtn').disabled = true;
+  document.querySelector('#progressMessage .progress-text').textContent = '⏳ Cancelling...';
+}
+
+// Runs an analysis directly in the side panel with the token selected on the options page
+// (falls back to config.js when no token is saved) and shows its progress.
+// The caller resets currentControl and the run controls once it settles.
+// checkpoint: false runs it without saving or resuming progress (see GitHubAPI.analyzePRs).
+async function runAnalysis({ organization, repository, startDate, endDate, fetchStrategy, verifySuggestions, prScope, checkpoint = true }) {
+  const profile = await getActiveProfile();
+  const { apiUrl, graphqlUrl } = getProfileEndpoints(profile);
+  const reviewBots = await loadReviewBots();
+  const api = new GitHubAPI(organization, repository, startDate, endDate, profile?.token || undefined, {
+    fetchStrategy,
+    verifySuggestions,
+    reviewBots,
+    scope: prScope,
+    apiBaseUrl: apiUrl,
+    graphqlUrl,
+    checkpoint
+  });
+
+  currentControl = new AnalysisControl();
+
+  return api.analyzePRs((progress) => {
+    console.log('Progress:', progress);
+    // Keep the "Paused" message up while requests already in flight finish
+    if (progress.status && !currentControl?.paused) {
+      showProgress(`⏳ ${progress.status}`, progress);
+    }
+  }, currentControl);
+}
+
+// Analyzes the period of the same length just before the current results and compares the two
+async function handleComparePrevious() {
+  if (!currentData) return;
+
+  const { startDate, endDate } = getPreviousPeriod(currentData.dateRange);
+  const [organization, repository = ''] = currentData.repository.split('/');
+  const compareButtons = document.querySelectorAll('.comparison-actions button');
+
+  compareButtons.forEach(button => { button.disabled = true; });
+  setLoading(true);
+  showProgress('⏳ Analyzing the previous period...');
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+
+  try {
+    const baseline = await runAnalysis({
+      organization,
+      repository,
+      startDate,
+      endDate,
+      fetchStrategy: document.getElementById('fetchStrategy').value,
+      verifySuggestions: document.getElementById('verifySuggestions').value === 'on',
+      prScope: currentData.scope,
+      // The saved progress belongs to the user's own analysis, not to this side run
+      checkpoint: false
+    });
+
+    hideProgress();
+    await showComparison(baseline);
+  } catch (error) {
+    hideProgress();
+    if (error.name === 'AbortError') {
+      showError('Comparison cancelled');
+    } else {
+      console.error('Error analyzing previous period:', error);
+      showError(error.message || 'Failed to analyze the previous period.');
+    }
+  } finally {
+    currentControl = null;
+    resetRunControls();
+    setLoading(false);
+    compareButtons.forEach(button => { button.disabled = false; });
+    updateResumeNotice();
+    updateCacheStats();
+  }
+}
+
+// Compares the current results with an analysis exported earlier
+async function handleCompareImport(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file || !currentData) return;
+
+  try {
+    const baseline = JSON.parse(await file.text());
+    if (!baseline.pullRequests || !baseline.dateRange || !baseline.summary) {
+      throw new Error('Not an exported analysis');
+    }
+    await showComparison(baseline);
+  } catch (error) {
+    console.error('Error loading exported analysis:', error);
+    showError(`Could not load ${file.name}: ${error.message}`);
+  }
+}
+
+// The other analysis gets the same manual acceptance overrides as the current one,
+// so acceptance rates compare like with like
+async function showComparison(otherData) {
+  await applyManualAcceptanceState(otherData);
+  displayComparison('comparisonReport', compareAnalyses(currentData, otherData, similarityThreshold, groupCuration));
+  document.getElementById('comparisonSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetRunControls() {
+  const pauseBtn = document.getElementById('pauseBtn');
+  pauseBtn.textContent = '⏸️ Pause';
+  pauseBtn.disabled = false;
+  document.getElementById('cancelBtn').disabled = false;
+}
+
+// Offer the results a cancelled run collected before it stopped
+function showCancelledNotice(results) {
+  const notice = document.getElementById('cancelledNotice');
+  const showBtn = document.getElementById('showPartialBtn');
+  partialResults = results || null;
+
+  if (partialResults && partialResults.summary.totalPRs > 0) {
+    notice.querySelector('.cancelled-notice-text').textContent =
+      `Analysis cancelled after ${partialResults.summary.totalPRs} PRs ` +
+      `(${partialResults.summary.totalPRsWithActionableIssues} with CodeRabbit comments).`;
+    showBtn.style.display = 'inline-block';
+  } else {
+    notice.querySelector('.cancelled-notice-text').textContent = 'Analysis cancelled before any PRs were analyzed.';
+    showBtn.style.display = 'none';
+  }
+
+  notice.style.display = 'block';
+}
+
+function hideCancelledNotice() {
+  partialResults = null;
+  document.getElementById('cancelledNotice').style.display = 'none';
+}
+
+async function handleShowPartialResults() {
+  if (!partialResults) return;
+
+  const results = partialResults;
+  hideCancelledNotice();
+  try {
+    await displayResults(results);
+  } catch (error) {
+    console.error('Error displaying partial results:', error);
+    showError(error.message || 'Failed to display the partial results.');
   }
 }
 
@@ -251,6 +705,11 @@ async function displayResults(data) {
   currentData = data;
   selectedPriorities = new Set(['all']);
   selectedAcceptanceStatus = 'all';
+  selectedBot = 'all';
+  selectedCategory = 'all';
+  selectedAuthor = 'all';
+  // A comparison belongs to the results it was made for
+  document.getElementById('comparisonReport').innerHTML = '';
 
   // Show results section
   document.getElementById('results').style.display = 'block';
@@ -261,8 +720,105 @@ async function displayResults(data) {
   document.getElementById('totalComments').textContent = data.summary.totalActionableIssues;
   document.getElementById('avgComments').textContent = data.summary.avgIssuesPerPR;
 
-  // Apply saved manual acceptance states (must be done before extractTitles)
+  // Merged work vs abandoned PRs (missing from exports made before merge status was tracked)
+  const outcomeSummary = document.getElementById('prOutcomeSummary');
+  if (data.summary.mergedPRs !== undefined) {
+    const parts = [`✅ ${data.summary.mergedPRs} merged`, `✖️ ${data.summary.unmergedPRs} closed unmerged`];
+    if (data.summary.openPRs > 0) {
+      parts.push(`🟢 ${data.summary.openPRs} open`);
+    }
+    outcomeSummary.textContent = parts.join(' · ');
+    outcomeSummary.style.display = 'flex';
+  } else {
+    outcomeSummary.style.display = 'none';
+  }
+
+  const verificationSummary = document.getElementById('verificationSummary');
+  const verification = data.summary.suggestionVerification;
+  if (verification) {
+    verificationSummary.textContent =
+      `🔍 Suggestions: ${verification.applied} applied · ${verification.modified} modified · ${verification.notApplied} not applied`;
+    verificationSummary.style.display = 'flex';
+  } else {
+    verificationSummary.style.display = 'none';
+  }
+
+  // Partial results of a cancelled run
+  const partialNotice = document.getElementById('partialNotice');
+  if (data.cancelled) {
+    partialNotice.textContent =
+      `⚠️ Partial results: the analysis was cancelled after ${data.summary.totalPRs} PRs, ` +
+      `so PRs it hadn't reached yet are missing.`;
+    partialNotice.style.display = 'block';
+  } else {
+    partialNotice.style.display = 'none';
+  }
+
+  // Warn when some search windows still exceeded GitHub's 1,000 result cap
+  const truncationNotice = document.getElementById('truncationNotice');
+  if (data.summary.truncated) {
+    truncationNotice.textContent =
+      `⚠️ Results are incomplete: GitHub search returns at most 1,000 PRs per query, and ` +
+      `${data.summary.truncatedRanges.length} time window(s) still exceeded that after splitting the date range. ` +
+      `${data.summary.missingPRs} PRs were not analyzed.`;
+    truncationNotice.style.display = 'block';
+  } else {
+    truncationNotice.style.display = 'none';
+  }
+
+  // Apply saved manual acceptance states (must be done before extractTitles, which caches the titles)
   await applyManualAcceptanceState(data);
+  // Group edits are saved per analysis scope (data.repository), so an org-wide analysis doesn't share
+  // them with analyses of its single repositories
+  groupCuration = await loadGroupCuration(data.repository);
+  document.getElementById('curationScope').textContent = data.isOrgWide ? `all of ${data.repository}` : data.repository;
+
+  // Per-repository breakdown is only meaningful for org-wide and multi-repo analyses
+  const repoBreakdownSection = document.getElementById('repoBreakdownSection');
+  if (data.isOrgWide || data.isMultiRepo) {
+    repoBreakdownSection.style.display = 'block';
+    displayRepositoryBreakdown('repoBreakdown', data, similarityThreshold, groupCuration);
+  } else {
+    repoBreakdownSection.style.display = 'none';
+  }
+
+  // Bot comparison only matters when more than one review bot was analyzed
+  const botBreakdownSection = document.getElementById('botBreakdownSection');
+  if (data.bots && data.bots.length > 1) {
+    botBreakdownSection.style.display = 'block';
+    displayBotBreakdown('botBreakdown', data.bots);
+  } else {
+    botBreakdownSection.style.display = 'none';
+  }
+
+  // Trends only make sense once the range spans more than one period
+  const trendSeries = buildTrendSeries(data, document.getElementById('trendInterval').value);
+  const trendSection = document.getElementById('trendSection');
+  if (data.pullRequests.length > 0 && trendSeries.length > 1) {
+    trendSection.style.display = 'block';
+    displayTrendCharts('trendCharts', trendSeries);
+  } else {
+    trendSection.style.display = 'none';
+  }
+
+  // Timing needs thread activity (missing from exports made before it was recorded)
+  const timingSection = document.getElementById('timingSection');
+  if (data.timing && (data.timing.timeToFix.overall.count > 0 || data.timing.response.overall.count > 0)) {
+    timingSection.style.display = 'block';
+    displayTimingBreakdown('timingBreakdown', data.timing, document.getElementById('timingGroupBy').value);
+  } else {
+    timingSection.style.display = 'none';
+  }
+
+  // Hotspots need file paths, which exports from older versions don't have
+  hotspotTree = buildHotspotTree(data);
+  const hotspotSection = document.getElementById('hotspotSection');
+  if (hotspotTree.children.size > 0) {
+    hotspotSection.style.display = 'block';
+    displayHotspots('hotspotTree', hotspotTree, document.getElementById('hotspotSort').value);
+  } else {
+    hotspotSection.style.display = 'none';
+  }
 
   // Calculate distributions
   const severityDist = calculateDistribution(data, 'severity');
@@ -274,29 +830,163 @@ async function displayResults(data) {
   // Display priority distribution
   displayDistribution('priorityDistribution', priorityDist);
 
-  // Initialize combined filter (priority + acceptance) with callbacks
+  // Initialize combined filter (priority + outcome) with callbacks
   initializePriorityFilter(
     data,
     selectedPriorities,
     selectedAcceptanceStatus,
     () => {
       // Priority filter change callback
-      applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayTitles);
+      applyFilters();
     },
     (newStatus) => {
-      // Acceptance filter change callback
+      // Outcome filter change callback
       selectedAcceptanceStatus = newStatus;
-      applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayTitles);
+      applyFilters();
     }
   );
 
+  initializeBotFilter(data);
+  initializeCategoryFilter(data);
+  initializeAuthorSection(data);
+
   // Apply initial filters to display titles with updated counts
-  applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayTitles);
+  applyFilters();
 
   // Scroll to results
   document.getElementById('results').scrollIntoView({ behavior: 'smooth' });
 }
 
+// Re-renders the comment titles with every active filter
+function applyFilters() {
+  applyCombinedFilters(currentData, selectedPriorities, selectedAcceptanceStatus, displayCuratedTitles, {
+    bot: selectedBot,
+    category: selectedCategory,
+    author: selectedAuthor
+  }, { similarityThreshold, curation: groupCuration });
+}
+
+// Shows the title groups with their editing controls, and the reset button once there are edits
+function displayCuratedTitles(elementId, groups, priorities, acceptanceStatus) {
+  displayTitles(elementId, groups, priorities, acceptanceStatus, {
+    onMove: (titles, targetTitle) => updateCuration(curation => moveTitles(curation, titles, targetTitle, groups)),
+    onSplit: (title) => updateCuration(curation => splitTitle(curation, title, groups)),
+    onRename: (group, name) => updateCuration(curation => renameGroup(curation, group, name)),
+    onTogglePin: (group) => updateCuration(curation => togglePinnedGroup(curation, group))
+  });
+  document.getElementById('resetCurationBtn').style.display = isCurationEmpty(groupCuration) ? 'none' : 'inline-block';
+}
+
+// Applies a group edit, saves it for the current analysis scope and re-renders the titles
+function updateCuration(edit) {
+  if (!currentData) return;
+  edit(groupCuration);
+  saveGroupCuration(currentData.repository, groupCuration);
+  applyFilters();
+  refreshRepositoryBreakdown();
+}
+
+// Re-renders the repository breakdown, whose title groups follow the threshold and group edits
+function refreshRepositoryBreakdown() {
+  if (currentData.isOrgWide || currentData.isMultiRepo) {
+    displayRepositoryBreakdown('repoBreakdown', currentData, similarityThreshold, groupCuration);
+  }
+}
+
+// Syncs the grouping slider and its label with similarityThreshold
+function updateSimilarityControl() {
+  document.getElementById('similarityThreshold').value = similarityThreshold;
+  document.getElementById('similarityThresholdValue').textContent = `${Math.round(similarityThreshold * 100)}%`;
+}
+
+// Counts issues per value of a field as filter options ({ value, label, count }), most common first
+function countFilterOptions(data, field, getLabel) {
+  const counts = {};
+  data.pullRequests.forEach(pr => {
+    pr.actionableIssues.forEach(issue => {
+      const value = issue[field];
+      if (!value) return;
+      if (!counts[value]) {
+        counts[value] = { value, label: getLabel(issue), count: 0 };
+      }
+      counts[value].count++;
+    });
+  });
+
+  return Object.values(counts).sort((a, b) => b.count - a.count);
+}
+
+// Shows a single-choice filter row, but only when there is more than one value to choose from
+function showExtraFilter(sectionId, controlsId, options, selectedValue, onSelect) {
+  const section = document.getElementById(sectionId);
+
+  if (options.length < 2) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  initializeExtraFilter(controlsId, options, selectedValue, (value) => {
+    onSelect(value);
+    applyFilters();
+  });
+}
+
+// Shows one filter button per review bot when comments came from more than one
+function initializeBotFilter(data) {
+  const options = countFilterOptions(data, 'bot', issue => issue.botName || issue.bot);
+  showExtraFilter('botFilterSection', 'botFilterControls', options, selectedBot, (bot) => {
+    selectedBot = bot;
+  });
+}
+
+// Separates inline findings from those bundled in review summaries (nitpicks, outside diff range)
+function initializeCategoryFilter(data) {
+  const options = countFilterOptions(data, 'category', issue => CATEGORY_LABELS[issue.category] || issue.category);
+  showExtraFilter('categoryFilterSection', 'categoryFilterControls', options, selectedCategory, (category) => {
+    selectedCategory = category;
+  });
+}
+
+// Shows the author breakdown and filter once the user opted in (exports from before authors
+// were summarized have no breakdown, but their PRs still carry the author)
+function initializeAuthorSection(data) {
+  const section = document.getElementById('authorSection');
+  const breakdown = document.getElementById('authorBreakdown');
+  const toggleButton = document.getElementById('authorToggleBtn');
+
+  section.style.display = data.pullRequests.length > 0 ? 'block' : 'none';
+  toggleButton.textContent = showAuthors ? 'Hide' : 'Show';
+  toggleButton.classList.toggle('active', showAuthors);
+
+  if (!showAuthors) {
+    breakdown.style.display = 'none';
+    document.getElementById('authorFilterSection').style.display = 'none';
+    selectedAuthor = 'all';
+    return;
+  }
+
+  breakdown.style.display = 'block';
+  if (data.authors) {
+    displayAuthorBreakdown('authorBreakdown', data.authors);
+  } else {
+    breakdown.innerHTML = '<div class="empty-state">Run a new analysis to see per-author stats</div>';
+  }
+
+  // Alphabetical like the breakdown, so the filter doesn't read as a ranking either
+  const counts = {};
+  data.pullRequests.forEach(pr => {
+    counts[pr.author] = (counts[pr.author] || 0) + pr.actionableIssues.length;
+  });
+  const options = Object.entries(counts)
+    .map(([author, count]) => ({ value: author, label: author, count }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  showExtraFilter('authorFilterSection', 'authorFilterControls', options, selectedAuthor, (author) => {
+    selectedAuthor = author;
+  });
+}
+
 function calculateDistribution(data, field) {
   const distribution = {};
   let total = 0;
@@ -324,11 +1014,17 @@ function calculateDistribution(data, field) {
 function handleExport() {
   if (!currentData) return;
 
-  const dataStr = JSON.stringify(currentData, null, 2);
+  // Title groups as shown, including the manual edits of this analysis scope
+  const exportData = {
+    ...currentData,
+    titleGroups: summarizeGroupsForExport(extractTitles(currentData, similarityThreshold, groupCuration)),
+    groupCuration
+  };
+  const dataStr = JSON.stringify(exportData, null, 2);
   const blob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
 
-  const filename = `${currentData.repository.replace('/', '_')}_coderabbit_analysis_${Date.now()}.json`;
+  const filename = `${currentData.repository.replace(/[/,]/g, '_')}_coderabbit_analysis_${Date.now()}.json`;
 
   chrome.downloads.download({
     url: url,
@@ -340,6 +1036,7 @@ function handleExport() {
 function handleNewAnalysis() {
   // Clear current results
   currentData = null;
+  hideCancelledNotice();
   document.getElementById('results').style.display = 'none';
   document.getElementById('errorMessage').style.display = 'none';
   hideProgress();
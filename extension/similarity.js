@@ -0,0 +1,255 @@
+// Title grouping engine: titles (and the descriptions of their comments) are tokenized with code
+// identifiers split up, stopwords removed and words stemmed, weighted by TF-IDF, and compared by
+// cosine similarity. Rare words like "null" or "debounce" count for more than ones every comment uses.
+// Only titles that MinHash/LSH buckets together are scored, so large result sets don't need
+// every title compared with every other one.
+
+// Default and lowest value of the grouping threshold slider in the side panel
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+export const MIN_SIMILARITY_THRESHOLD = 0.4;
+
+// Share of the score that comes from the descriptions when both titles have one
+const DESCRIPTION_WEIGHT = 0.3;
+
+// English function words, plus verbs review comments open with that say nothing about the problem
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'do', 'does',
+  'for', 'from', 'has', 'have', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'might', 'no', 'not',
+  'of', 'on', 'or', 'our', 'should', 'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these',
+  'this', 'those', 'to', 'too', 'was', 'were', 'when', 'where', 'which', 'while', 'will', 'with',
+  'would', 'you', 'your',
+  'add', 'adding', 'consider', 'ensure', 'make', 'missing', 'please', 'potential', 'potentially',
+  'possible', 'use', 'using'
+]);
+
+// Suffixes stripped by stem(), longest first; [suffix, replacement]. Replacements match what the
+// base word stems to, so "validation" and "validate" both become "validat".
+const STEM_SUFFIXES = [
+  ['ational', 'at'],
+  ['ization', 'iz'],
+  ['ations', 'at'],
+  ['ation', 'at'],
+  ['ments', ''],
+  ['ment', ''],
+  ['ness', ''],
+  ['ing', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['ly', ''],
+  ['es', ''],
+  ['e', ''],
+  ['s', '']
+];
+
+// Stems shorter than this are left alone ("uses" -> "use", not "us")
+const MIN_STEM_LENGTH = 3;
+
+// MinHash signature length is MINHASH_BANDS * MINHASH_ROWS. Two titles become candidates when all
+// rows of any band match, which happens with probability 1 - (1 - J^rows)^bands for titles whose
+// term sets have Jaccard similarity J. A cosine score of t can come from a Jaccard similarity as low
+// as t / (2 - t), so the bands are chosen to find such pairs at the lowest threshold MIN_LSH_RECALL
+// of the time (25 bands: ~80% at a score of 40%, over 90% at 50%). Below that, most pairs would be missed.
+const MINHASH_ROWS = 2;
+const MIN_LSH_RECALL = 0.8;
+const MIN_THRESHOLD_JACCARD = MIN_SIMILARITY_THRESHOLD / (2 - MIN_SIMILARITY_THRESHOLD);
+const MINHASH_BANDS = Math.ceil(Math.log(1 - MIN_LSH_RECALL) / Math.log(1 - MIN_THRESHOLD_JACCARD ** MINHASH_ROWS));
+// Big buckets hold titles that only share a very common term. To keep clustering near-linear, only
+// their first (most frequent, so most likely to start a group) titles are paired with every member.
+const MAX_BUCKET_SEEDS = 200;
+
+/**
+ * Reduces a word to a rough stem ("checks", "checking" and "checked" all become "check").
+ * A light suffix stripper rather than a full Porter stemmer: it only has to make variants
+ * of the same word meet, not produce real words. Only one suffix is stripped, so "handlers",
+ * "handler", "handling" and "handle" all become "handl" without "parser" shrinking to "par".
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH || /\d/.test(word)) return word;
+  // "class", "process", "address" keep their double s
+  if (word.endsWith('ss')) return word;
+
+  for (const [suffix, replacement] of STEM_SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    const base = word.slice(0, -suffix.length) + replacement;
+    if (base.length < MIN_STEM_LENGTH) continue;
+    // "mapped" -> "map", "running" -> "run", but "added" stays "add"
+    const undoubled = /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+    return undoubled.length >= MIN_STEM_LENGTH ? undoubled : base;
+  }
+  return word;
+}
+
+/**
+ * Splits text into stemmed terms. Code identifiers are broken up first, so `userId`,
+ * `user_id` and "user id" all yield the same terms.
+ * @param {string} text - Title or description
+ * @returns {Array} Terms, in order, with repeats
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return text
+    // camelCase and PascalCase boundaries, including acronyms ("parseJSONBody" -> "parse JSON Body")
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    // snake_case, kebab-case, paths and punctuation
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Builds L2-normalized TF-IDF vectors for a set of documents
+ * @param {Array} documents - Each document as an array of terms (see tokenize)
+ * @returns {Array} One Map (term -> weight) per document, in the same order
+ */
+export function buildTfidfVectors(documents) {
+  const documentFrequency = new Map();
+  documents.forEach(terms => {
+    new Set(terms).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  // Smoothed, so a term in every document still counts a little
+  const idf = term => Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+
+  return documents.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+
+    let norm = 0;
+    vector.forEach((count, term) => {
+      const weight = count * idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two normalized vectors from buildTfidfVectors
+ * @param {Map} a - First vector
+ * @param {Map} b - Second vector
+ * @returns {number} Similarity between 0 and 1
+ */
+export function cosineSimilarity(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  smaller.forEach((weight, term) => {
+    const other = larger.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+}
+
+// 32-bit FNV-1a hash of a term
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Murmur3 finalizer over hash ^ seed: one independent-enough hash function per seed
+function mixHash(hash, seed) {
+  let mixed = (hash ^ Math.imul(seed + 1, 0x9e3779b9)) >>> 0;
+  mixed = Math.imul(mixed ^ (mixed >>> 16), 0x85ebca6b);
+  mixed = Math.imul(mixed ^ (mixed >>> 13), 0xc2b2ae35);
+  return (mixed ^ (mixed >>> 16)) >>> 0;
+}
+
+// Smallest hash of the terms under each hash function; null for titles without terms
+function getMinHashSignature(terms) {
+  if (terms.length === 0) return null;
+
+  const termHashes = [...new Set(terms)].map(hashTerm);
+  const signature = [];
+  for (let seed = 0; seed < MINHASH_BANDS * MINHASH_ROWS; seed++) {
+    let min = Infinity;
+    termHashes.forEach(hash => {
+      const value = mixHash(hash, seed);
+      if (value < min) min = value;
+    });
+    signature.push(min);
+  }
+  return signature;
+}
+
+/**
+ * Finds the pairs of documents likely to share most of their terms with MinHash/LSH:
+ * documents that agree on all rows of a signature band land in the same bucket.
+ * @param {Array} documents - Each document as an array of terms (see tokenize), most frequent first
+ * @returns {Array} Candidate pairs [i, j] with i < j, each once
+ */
+export function findCandidatePairs(documents) {
+  const signatures = documents.map(getMinHashSignature);
+  const buckets = new Map();
+
+  signatures.forEach((signature, index) => {
+    if (!signature) return;
+    for (let band = 0; band < MINHASH_BANDS; band++) {
+      const rows = signature.slice(band * MINHASH_ROWS, (band + 1) * MINHASH_ROWS);
+      const key = `${band}:${rows.join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  buckets.forEach(members => {
+    for (let a = 0; a < Math.min(members.length, MAX_BUCKET_SEEDS); a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        // Members are pushed in index order, so members[a] < members[b]
+        const pairKey = members[a] * documents.length + members[b];
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        pairs.push([members[a], members[b]]);
+      }
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Scores the candidate pairs of a list of titles ({ title, description }). Titles and descriptions
+ * get separate TF-IDF vectors, so long descriptions don't drown out the title. The result doesn't
+ * depend on a threshold, so it can be computed once and regrouped at any threshold.
+ * @param {Array} titles - Title objects with an optional description
+ * @returns {Array} Per title, its candidates after it ([{ index, score }], by index)
+ */
+export function buildSimilarityGraph(titles) {
+  const titleTerms = titles.map(title => tokenize(title.title));
+  const titleVectors = buildTfidfVectors(titleTerms);
+  const descriptionVectors = buildTfidfVectors(titles.map(title => tokenize(title.description)));
+
+  const score = (i, j) => {
+    const titleScore = cosineSimilarity(titleVectors[i], titleVectors[j]);
+    // Summary findings and some bots' comments have no description
+    if (descriptionVectors[i].size === 0 || descriptionVectors[j].size === 0) return titleScore;
+
+    const descriptionScore = cosineSimilarity(descriptionVectors[i], descriptionVectors[j]);
+    return (1 - DESCRIPTION_WEIGHT) * titleScore + DESCRIPTION_WEIGHT * descriptionScore;
+  };
+
+  const graph = titles.map(() => []);
+  findCandidatePairs(titleTerms).forEach(([i, j]) => {
+    graph[i].push({ index: j, score: score(i, j) });
+  });
+  graph.forEach(neighbors => neighbors.sort((a, b) => a.index - b.index));
+  return graph;
+}
@@ -0,0 +1,86 @@
+// Checks whether a review bot's suggested change ended up in the code: compares the lines a
+// suggestion adds and removes against the file as of the PR's last commit.
+// Used by GitHubAPI.verifySuggestions when suggestion verification is turned on.
+
+// Share of the suggested lines that must be present for a partial match to count as 'modified'
+const PARTIAL_MATCH_RATIO = 0.5;
+
+// Whitespace and indentation changes don't make a line different
+function normalizeCodeLine(line) {
+  return line.trim().replace(/\s+/g, ' ');
+}
+
+// Lines like "}" or ");" appear all over a file and would match anywhere, so they're not compared
+function isSignificantLine(line) {
+  return /[A-Za-z0-9]/.test(line);
+}
+
+// Current-side lines of a diff hunk (context and additions, without their +/space prefix)
+function getHunkLines(diffHunk) {
+  if (!diffHunk) return [];
+  return diffHunk
+    .split('\n')
+    .filter(line => !line.startsWith('@@') && !line.startsWith('-'))
+    .map(line => line.slice(1));
+}
+
+// Returns { added, removed }: the normalized, significant lines a suggestion introduces and the ones it replaces.
+// A ```suggestion block replaces the commented line range, which is the end of the comment's diff hunk.
+// Lines the suggestion keeps unchanged are left out of both lists.
+function getSuggestionChanges(issue) {
+  const { suggestion } = issue;
+  if (!suggestion) return { added: [], removed: [] };
+
+  let added;
+  let removed;
+  const hunkLines = getHunkLines(issue.diffHunk);
+
+  if (suggestion.format === 'suggestion') {
+    added = suggestion.code === '' ? [] : suggestion.code.split('\n');
+    removed = suggestion.removedLines ? hunkLines.slice(-suggestion.removedLines) : [];
+  } else {
+    const lines = suggestion.code.split('\n');
+    added = lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).map(line => line.slice(1));
+    removed = lines.filter(line => line.startsWith('-') && !line.startsWith('---')).map(line => line.slice(1));
+  }
+
+  const normalize = lines => [...new Set(lines.map(normalizeCodeLine).filter(isSignificantLine))];
+  const removedSet = new Set(normalize(removed));
+  // Lines already in the code when the comment was made prove nothing if they're still there
+  const existingSet = new Set([...removedSet, ...normalize(hunkLines)]);
+  const addedSet = new Set(normalize(added));
+
+  return {
+    added: [...addedSet].filter(line => !existingSet.has(line)),
+    removed: [...removedSet].filter(line => !addedSet.has(line))
+  };
+}
+
+// Compares a suggestion's changes with the file's final content.
+// Returns 'applied' (all added lines present, replaced lines gone), 'modified' (the code changed,
+// but not exactly as suggested), 'not-applied' (nothing changed), or null if there's nothing to compare.
+function classifySuggestion(fileContent, changes) {
+  const { added, removed } = changes;
+  if (added.length === 0 && removed.length === 0) return null;
+
+  const fileLines = new Set(fileContent.split('\n').map(normalizeCodeLine));
+  const addedFound = added.filter(line => fileLines.has(line)).length;
+  const removedLeft = removed.filter(line => fileLines.has(line)).length;
+
+  const allAdded = addedFound === added.length;
+  const allRemoved = removedLeft === 0;
+
+  if (allAdded && allRemoved) return 'applied';
+
+  const mostlyAdded = added.length > 0 && addedFound / added.length >= PARTIAL_MATCH_RATIO;
+  const someRemoved = removed.length > 0 && removedLeft < removed.length;
+  if (mostlyAdded || someRemoved) return 'modified';
+
+  return 'not-applied';
+}
+
+// Export for use in github-api.js
+if (typeof window !== 'undefined') {
+  window.getSuggestionChanges = getSuggestionChanges;
+  window.classifySuggestion = classifySuggestion;
+}
@@ -0,0 +1,162 @@
+// Named GitHub token profiles stored in chrome.storage, shared by the options page and the side panel
+
+const PROFILES_KEY = 'tokenProfiles';
+const ACTIVE_PROFILE_KEY = 'activeTokenProfileId';
+// Endpoints used by profiles that don't point at a GitHub Enterprise Server
+const GITHUB_COM_ENDPOINTS = {
+  apiUrl: 'https://api.github.com',
+  graphqlUrl: 'https://api.github.com/graphql',
+  webUrl: 'https://github.com'
+};
+
+/**
+ * Loads all saved token profiles and the ID of the active one
+ * @returns {Promise<Object>} { profiles, activeProfileId }
+ */
+export async function loadTokenProfiles() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PROFILES_KEY, ACTIVE_PROFILE_KEY], (result) => {
+      resolve({
+        profiles: result[PROFILES_KEY] || [],
+        activeProfileId: result[ACTIVE_PROFILE_KEY] || null
+      });
+    });
+  });
+}
+
+/**
+ * Saves the token profiles and the active profile ID
+ * @param {Array} profiles - Token profiles
+ * @param {string|null} activeProfileId - ID of the profile the side panel should use
+ * @returns {Promise<void>}
+ */
+export async function saveTokenProfiles(profiles, activeProfileId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      [PROFILES_KEY]: profiles,
+      [ACTIVE_PROFILE_KEY]: activeProfileId
+    }, resolve);
+  });
+}
+
+/**
+ * Returns the active token profile, or null if none is selected
+ * @returns {Promise<Object|null>} The active profile
+ */
+export async function getActiveProfile() {
+  const { profiles, activeProfileId } = await loadTokenProfiles();
+  return profiles.find(profile => profile.id === activeProfileId) || null;
+}
+
+/**
+ * Returns the REST, GraphQL and web URLs a profile talks to (github.com when the profile has none)
+ * @param {Object|null} profile - Token profile
+ * @returns {Object} { apiUrl, graphqlUrl, webUrl }
+ */
+export function getProfileEndpoints(profile) {
+  if (!profile?.endpoints) {
+    return { ...GITHUB_COM_ENDPOINTS };
+  }
+  return { ...profile.endpoints };
+}
+
+/**
+ * Derives the default endpoints of a GitHub Enterprise Server from its web URL
+ * (REST under /api/v3, GraphQL at /api/graphql)
+ * @param {string} serverUrl - e.g. https://github.example.com
+ * @returns {Object} { apiUrl, graphqlUrl, webUrl }
+ */
+export function deriveEnterpriseEndpoints(serverUrl) {
+  const webUrl = serverUrl.trim().replace(/\/+$/, '');
+  return {
+    apiUrl: `${webUrl}/api/v3`,
+    graphqlUrl: `${webUrl}/api/graphql`,
+    webUrl
+  };
+}
+
+/**
+ * Asks the user to grant access to the hosts of a GitHub Enterprise Server.
+ * Must be called from a user gesture (e.g. a click handler) before any other await.
+ * @param {Object} endpoints - { apiUrl, graphqlUrl, webUrl }
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+export async function requestHostPermissions(endpoints) {
+  const origins = [...new Set(
+    [endpoints.apiUrl, endpoints.graphqlUrl, endpoints.webUrl].map(url => `${new URL(url).origin}/*`)
+  )];
+  return chrome.permissions.request({ origins });
+}
+
+/**
+ * Masks a token for display, keeping only its prefix and last four characters
+ * @param {string} token - The token to mask
+ * @returns {string} Masked token
+ */
+export function maskToken(token) {
+  if (!token) return '';
+  const prefix = token.match(/^(ghp_|github_pat_|gho_|ghs_)/)?.[0] || '';
+  return `${prefix}…${token.slice(-4)}`;
+}
+
+/**
+ * Validates a token against /user and /rate_limit
+ * @param {string} token - GitHub personal access token
+ * @param {string} apiUrl - REST API base URL (https://api.github.com or https://HOST/api/v3)
+ * @returns {Promise<Object>} Validation result with login, scopes, expiry and rate limits
+ */
+export async function validateToken(token, apiUrl = GITHUB_COM_ENDPOINTS.apiUrl) {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'Authorization': `token ${token}`
+  };
+
+  const userResponse = await fetch(`${apiUrl}/user`, { headers });
+
+  if (userResponse.status === 401) {
+    return { valid: false, error: 'GitHub rejected this token (401). It may be mistyped, revoked or expired.', checkedAt: new Date().toISOString() };
+  }
+
+  if (!userResponse.ok) {
+    return { valid: false, error: `GitHub API error: ${userResponse.status} ${userResponse.statusText}`, checkedAt: new Date().toISOString() };
+  }
+
+  const user = await userResponse.json();
+
+  // Classic tokens list their scopes; fine-grained tokens send no X-OAuth-Scopes header
+  const scopesHeader = userResponse.headers.get('x-oauth-scopes');
+  const scopes = scopesHeader === null
+    ? null
+    : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+
+  // Format: "2025-01-31 00:00:00 UTC" (missing when the token never expires)
+  const expirationHeader = userResponse.headers.get('github-authentication-token-expiration');
+  const expiresAt = expirationHeader
+    ? new Date(expirationHeader.replace(' UTC', 'Z').replace(' ', 'T')).toISOString()
+    : null;
+
+  // Enterprise Servers with rate limiting disabled answer /rate_limit with a 404
+  let rateLimit = null;
+  const rateLimitResponse = await fetch(`${apiUrl}/rate_limit`, { headers });
+  if (rateLimitResponse.ok) {
+    const { resources } = await rateLimitResponse.json();
+    rateLimit = {
+      core: { limit: resources.core.limit, remaining: resources.core.remaining },
+      search: resources.search
+        ? { limit: resources.search.limit, remaining: resources.search.remaining }
+        : null,
+      graphql: resources.graphql
+        ? { limit: resources.graphql.limit, remaining: resources.graphql.remaining }
+        : null
+    };
+  }
+
+  return {
+    valid: true,
+    login: user.login,
+    scopes,
+    expiresAt,
+    rateLimit,
+    checkedAt: new Date().toISOString()
+  };
+}